@@ -0,0 +1,425 @@
+import { getProviderTokens } from "./tokenStore.js";
+import { withProviderToken } from "./tokenManager.js";
+import { getProvider, providerIds, supports } from "./providerRegistry.js";
+import { parseAddressList, htmlToText } from "./mime.js";
+import { DEFAULT_TIME_ZONE, parseDateTimeInZone, toZonedISO, isDateOnly, addDays } from "./timeZones.js";
+import { validateRecurrence } from "./recurrence.js";
+
+/**
+ * Side-effecting actions (send / reply / forward email, create / update / cancel event).
+ *
+ * Used by:
+ *   - POST /v1/actions/send-email, /reply-email, /forward-email, /create-event, /update-event,
+ *     /cancel-event (direct, from app screens)
+ *   - /v1/chat confirmations ("Send it" / "Create it" / "Update it" / "Cancel it")
+ *
+ * Errors thrown here carry a `code` the routes map to HTTP responses:
+ *   - "invalid_payload" (400), "not_connected" / "reauth_required" (400, from tokenManager)
+ *   - anything else is a provider/server failure
+ */
+
+const EMAIL_RE = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+
+const MAX_SUBJECT = 998; // RFC 5322 line limit
+const MAX_BODY = 100_000;
+const MAX_TITLE = 1024;
+const MAX_ATTENDEES = 50;
+const MAX_RECIPIENTS = 100; // To + Cc + Bcc
+const MAX_NAME = 200;
+const MAX_HTML = 500_000;
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_BYTES = 3 * 1024 * 1024; // total; Graph's limit for inline attachments
+const MAX_FILENAME = 255;
+const MAX_EVENT_ID = 1024;
+const MAX_COMMENT = 2000;
+const MAX_SCHEDULE_DAYS = 365; // how far ahead mail may be scheduled
+
+function actionError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+export function isValidEmail(s) {
+  return EMAIL_RE.test(String(s ?? "").trim());
+}
+
+function optString(v) {
+  return typeof v === "string" ? v : "";
+}
+
+/**
+ * Recipient list -> [{ name, email }]. Accepts an array of { email, name? } objects or
+ * "Name <email>" strings, or a single comma-separated string; every address is validated.
+ */
+function validateRecipients(value, field, errors) {
+  if (value == null || value === "") return [];
+
+  let entries;
+  if (typeof value === "string") entries = parseAddressList(value);
+  else if (Array.isArray(value)) {
+    entries = value.flatMap((v) =>
+      typeof v === "string" ? parseAddressList(v) : [{ name: optString(v?.name), email: optString(v?.email) }]
+    );
+  } else {
+    errors.push(`'${field}' must be an array of recipients`);
+    return [];
+  }
+
+  const out = [];
+  for (const e of entries) {
+    const email = e.email.trim();
+    const name = e.name.replace(/[\r\n]+/g, " ").trim();
+    if (!isValidEmail(email)) errors.push(`'${field}' has an invalid email address: ${email || "(empty)"}`);
+    else if (name.length > MAX_NAME) errors.push(`'${field}' name must be at most ${MAX_NAME} characters: ${email}`);
+    else out.push(name ? { name, email } : { email });
+  }
+  return out;
+}
+
+/**
+ * Attachments: [{ filename, mimeType?, contentBase64 }] -> same shape, with the base64 checked
+ * and the combined decoded size capped.
+ */
+function validateAttachments(value, errors) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) {
+    errors.push("'attachments' must be an array");
+    return [];
+  }
+  if (value.length > MAX_ATTACHMENTS) errors.push(`At most ${MAX_ATTACHMENTS} attachments are allowed`);
+
+  const out = [];
+  let total = 0;
+  for (const a of value.slice(0, MAX_ATTACHMENTS)) {
+    const filename = optString(a?.filename).replace(/[\r\n/\\]+/g, " ").trim();
+    const mimeType = optString(a?.mimeType).trim().toLowerCase() || "application/octet-stream";
+    const contentBase64 = optString(a?.contentBase64).replace(/\s+/g, "");
+
+    if (!filename) errors.push("Every attachment needs a 'filename'");
+    else if (filename.length > MAX_FILENAME) errors.push(`Attachment filename must be at most ${MAX_FILENAME} characters`);
+    if (!/^[\w.+-]+\/[\w.+-]+$/.test(mimeType)) errors.push(`Attachment '${filename}' has an invalid mimeType`);
+    if (!contentBase64 || !/^[A-Za-z0-9+/]*={0,2}$/.test(contentBase64) || contentBase64.length % 4 !== 0) {
+      errors.push(`Attachment '${filename}' must have base64 'contentBase64'`);
+      continue;
+    }
+
+    total += Buffer.byteLength(contentBase64, "base64");
+    out.push({ filename, mimeType, contentBase64 });
+  }
+  if (total > MAX_ATTACHMENT_BYTES) errors.push(`Attachments must be at most ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB in total`);
+  return out;
+}
+
+/**
+ * Returns { payload, errors } — payload is normalized, errors is a list of messages.
+ * to / cc / bcc come back as [{ name?, email }]. bodyHtml is optional; when only HTML is
+ * given, bodyText is derived from it (it is the text/plain alternative).
+ */
+export function validateEmailPayload(body) {
+  const errors = [];
+  const to = validateRecipients(body?.to, "to", errors);
+  const cc = validateRecipients(body?.cc, "cc", errors);
+  const bcc = validateRecipients(body?.bcc, "bcc", errors);
+  const subject = optString(body?.subject);
+  const bodyHtml = optString(body?.bodyHtml);
+  const bodyText = optString(body?.bodyText) || (bodyHtml ? htmlToText(bodyHtml) : "");
+  const attachments = validateAttachments(body?.attachments, errors);
+
+  if (to.length === 0 && !errors.some((e) => e.startsWith("'to'"))) errors.push("'to' is required");
+  if (to.length + cc.length + bcc.length > MAX_RECIPIENTS) errors.push(`At most ${MAX_RECIPIENTS} recipients are allowed`);
+  if (!subject.trim()) errors.push("'subject' is required");
+  else if (subject.length > MAX_SUBJECT) errors.push(`'subject' must be at most ${MAX_SUBJECT} characters`);
+  if (!bodyText.trim()) errors.push("'bodyText' (or 'bodyHtml') is required");
+  else if (bodyText.length > MAX_BODY) errors.push(`'bodyText' must be at most ${MAX_BODY} characters`);
+  if (bodyHtml.length > MAX_HTML) errors.push(`'bodyHtml' must be at most ${MAX_HTML} characters`);
+
+  const payload = { to, cc, bcc, subject, bodyText };
+  if (bodyHtml) payload.bodyHtml = bodyHtml;
+  if (attachments.length) payload.attachments = attachments;
+  return { payload, errors };
+}
+
+const MAX_MESSAGE_ID = 1024;
+
+// Message ids only mean something in their own mailbox, so replies/forwards must name the provider
+function validateMessageId(body, messageId, errors) {
+  if (!optString(body?.provider).trim()) errors.push("'provider' is required (the mailbox the message is in)");
+  if (!messageId) errors.push("'messageId' is required");
+  else if (messageId.length > MAX_MESSAGE_ID) errors.push(`'messageId' must be at most ${MAX_MESSAGE_ID} characters`);
+}
+
+// Reply to a received message: recipients, subject and threading come from the source message
+export function validateReplyPayload(body) {
+  const errors = [];
+  const messageId = optString(body?.messageId).trim();
+  const bodyText = optString(body?.bodyText);
+  const replyAll = body?.replyAll ?? false;
+
+  validateMessageId(body, messageId, errors);
+  if (!bodyText.trim()) errors.push("'bodyText' is required");
+  else if (bodyText.length > MAX_BODY) errors.push(`'bodyText' must be at most ${MAX_BODY} characters`);
+  if (typeof replyAll !== "boolean") errors.push("'replyAll' must be a boolean");
+
+  return { payload: { messageId, bodyText, replyAll: replyAll === true }, errors };
+}
+
+// Forward a received message; bodyText is an optional note above the forwarded content
+export function validateForwardPayload(body) {
+  const errors = [];
+  const messageId = optString(body?.messageId).trim();
+  const to = validateRecipients(body?.to, "to", errors);
+  const bodyText = optString(body?.bodyText);
+
+  validateMessageId(body, messageId, errors);
+  if (to.length === 0 && !errors.some((e) => e.startsWith("'to'"))) errors.push("'to' is required");
+  if (to.length > MAX_RECIPIENTS) errors.push(`At most ${MAX_RECIPIENTS} recipients are allowed`);
+  if (bodyText.length > MAX_BODY) errors.push(`'bodyText' must be at most ${MAX_BODY} characters`);
+
+  return { payload: { messageId, to, bodyText }, errors };
+}
+
+// Date-time without offset = wall clock in timeZone; NaN distinguishes "missing/malformed" from DST gaps
+function validateEventTime(value, field, timeZone, errors) {
+  const ms = parseDateTimeInZone(value, timeZone);
+  if (!Number.isNaN(ms)) return ms;
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(value)) {
+    errors.push(`'${field}' ${value} does not exist in ${timeZone} (daylight saving change)`);
+  } else {
+    errors.push(`'${field}' must be an ISO 8601 date-time (local time in ${timeZone}, or with an offset)`);
+  }
+  return NaN;
+}
+
+/**
+ * Optional scheduled send time for email / reply / forward (same date-time rules as event times).
+ * Returns epoch ms, or null to send now.
+ */
+export function validateSendAt(value, timeZone = DEFAULT_TIME_ZONE, errors = []) {
+  if (value == null || value === "") return null;
+  const ms = validateEventTime(optString(value).trim(), "sendAt", timeZone, errors);
+  if (Number.isNaN(ms)) return null;
+  if (ms <= Date.now()) errors.push("'sendAt' must be in the future");
+  else if (ms > Date.now() + MAX_SCHEDULE_DAYS * 86_400_000) {
+    errors.push(`'sendAt' must be within ${MAX_SCHEDULE_DAYS} days`);
+  }
+  return ms;
+}
+
+// Start/end of a new or rescheduled event; returns the normalized { startISO, endISO }
+function validateEventTimes(body, allDay, timeZone, errors) {
+  let startISO = optString(body?.startISO).trim();
+  let endISO = optString(body?.endISO).trim();
+
+  if (allDay) {
+    if (!endISO && isDateOnly(startISO)) endISO = addDays(startISO, 1);
+    if (!isDateOnly(startISO)) errors.push("'startISO' must be a date (YYYY-MM-DD) for all-day events");
+    if (!isDateOnly(endISO)) errors.push("'endISO' must be a date (YYYY-MM-DD) for all-day events");
+    else if (isDateOnly(startISO) && endISO <= startISO) {
+      errors.push("'endISO' must be after 'startISO' (it is the exclusive end date)");
+    }
+    return { startISO, endISO };
+  }
+
+  const startMs = validateEventTime(startISO, "startISO", timeZone, errors);
+  const endMs = validateEventTime(endISO, "endISO", timeZone, errors);
+  if (Number.isNaN(startMs) || Number.isNaN(endMs)) return { startISO, endISO };
+  if (endMs <= startMs) errors.push("'endISO' must be after 'startISO'");
+  return { startISO: toZonedISO(startMs, timeZone), endISO: toZonedISO(endMs, timeZone) };
+}
+
+/**
+ * Timed events: startISO/endISO are normalized to the user's zone with its offset
+ * ("2026-01-05T09:00:00+01:00"). All-day events (allDay: true) take dates; endISO is the
+ * exclusive end date and defaults to the next day. recurrence (optional) is the neutral rule
+ * from recurrence.js; startISO is the first occurrence.
+ *
+ * @param {object} body
+ * @param {{ timeZone?: string }} [ctx]  user's IANA zone (profileStore.resolveTimeZone)
+ */
+export function validateEventPayload(body, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const errors = [];
+  const title = optString(body?.title).trim();
+  const allDay = body?.allDay ?? false;
+  const attendees = body?.attendees ?? [];
+
+  if (!title) errors.push("'title' is required");
+  else if (title.length > MAX_TITLE) errors.push(`'title' must be at most ${MAX_TITLE} characters`);
+
+  let startISO = optString(body?.startISO).trim();
+  let endISO = optString(body?.endISO).trim();
+  if (typeof allDay !== "boolean") errors.push("'allDay' must be a boolean");
+  else ({ startISO, endISO } = validateEventTimes(body, allDay, timeZone, errors));
+
+  const recurrence = validateRecurrence(body?.recurrence, errors, { startDate: startISO.slice(0, 10) });
+
+  if (!Array.isArray(attendees)) {
+    errors.push("'attendees' must be an array of email addresses");
+  } else {
+    if (attendees.length > MAX_ATTENDEES) errors.push(`At most ${MAX_ATTENDEES} attendees are allowed`);
+    for (const a of attendees) {
+      if (!isValidEmail(a)) errors.push(`Invalid attendee email: ${a}`);
+    }
+  }
+
+  return {
+    payload: {
+      title,
+      allDay: allDay === true,
+      startISO,
+      endISO,
+      timeZone,
+      description: optString(body?.description),
+      location: optString(body?.location),
+      attendees: Array.isArray(attendees) ? attendees.map((a) => String(a).trim()) : [],
+      recurrence,
+    },
+    errors,
+  };
+}
+
+// Event ids only mean something in their own calendar, so updates/cancellations must name the provider
+function validateEventId(body, errors) {
+  const eventId = optString(body?.eventId).trim();
+  if (!optString(body?.provider).trim()) errors.push("'provider' is required (the calendar the event is in)");
+  if (!eventId) errors.push("'eventId' is required");
+  else if (eventId.length > MAX_EVENT_ID) errors.push(`'eventId' must be at most ${MAX_EVENT_ID} characters`);
+  return eventId;
+}
+
+function validateNotify(body, errors) {
+  const notify = body?.notifyAttendees ?? true;
+  if (typeof notify !== "boolean") errors.push("'notifyAttendees' must be a boolean");
+  return notify !== false;
+}
+
+// Recurring events: "occurrence" (default) changes the given instance only, "series" every instance
+const EVENT_SCOPES = ["occurrence", "series"];
+
+function validateScope(body, errors) {
+  const scope = body?.scope ?? "occurrence";
+  if (!EVENT_SCOPES.includes(scope)) errors.push(`'scope' must be one of: ${EVENT_SCOPES.join(", ")}`);
+  return scope;
+}
+
+/**
+ * Partial update of an existing event: only the fields present change. Rescheduling takes
+ * startISO (and endISO, except for all-day events) with the same rules as validateEventPayload;
+ * changing allDay requires new times, and a date-only startISO without allDay means an all-day
+ * event. For recurring events, scope picks the instance or the
+ * whole series; a new recurrence rule needs scope "series".
+ */
+export function validateUpdateEventPayload(body, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const errors = [];
+  const eventId = validateEventId(body, errors);
+  const notifyAttendees = validateNotify(body, errors);
+  const scope = validateScope(body, errors);
+  const payload = { eventId, notifyAttendees, scope };
+
+  if (body?.title != null) {
+    const title = optString(body.title).trim();
+    if (!title) errors.push("'title' must not be empty");
+    else if (title.length > MAX_TITLE) errors.push(`'title' must be at most ${MAX_TITLE} characters`);
+    payload.title = title;
+  }
+
+  const allDay = body?.allDay ?? isDateOnly(optString(body?.startISO).trim());
+  const hasTimes = Boolean(body?.startISO || body?.endISO);
+  if (typeof allDay !== "boolean") {
+    errors.push("'allDay' must be a boolean");
+  } else if (hasTimes) {
+    Object.assign(payload, { allDay, ...validateEventTimes(body, allDay, timeZone, errors), timeZone });
+  } else if (body?.allDay != null) {
+    errors.push("'startISO' is required when changing 'allDay'");
+  }
+
+  if (body?.location != null) payload.location = optString(body.location);
+  if (body?.description != null) payload.description = optString(body.description);
+
+  if (body?.recurrence != null) {
+    if (scope !== "series") errors.push("'recurrence' can only be changed with scope \"series\"");
+    payload.recurrence = validateRecurrence(body.recurrence, errors, { startDate: optString(payload.startISO).slice(0, 10) });
+    payload.timeZone = timeZone;
+  }
+
+  const changes = ["title", "startISO", "location", "description", "recurrence"].filter((k) => k in payload);
+  if (changes.length === 0 && errors.length === 0) {
+    errors.push("Nothing to change: give a new title, startISO/endISO, location, description or recurrence");
+  }
+
+  return { payload, errors };
+}
+
+export function validateCancelEventPayload(body) {
+  const errors = [];
+  const eventId = validateEventId(body, errors);
+  const notifyAttendees = validateNotify(body, errors);
+  const scope = validateScope(body, errors);
+  const comment = optString(body?.comment).trim();
+  if (comment.length > MAX_COMMENT) errors.push(`'comment' must be at most ${MAX_COMMENT} characters`);
+
+  return { payload: { eventId, notifyAttendees, scope, comment }, errors };
+}
+
+// Action type -> adapter method (and capability of the same name)
+const ACTION_METHODS = {
+  email: "sendEmail",
+  reply: "replyEmail",
+  forward: "forwardEmail",
+  event: "createEvent",
+  update_event: "updateEvent",
+  cancel_event: "cancelEvent",
+};
+
+// Action types that change the calendar (cached calendar context must be dropped afterwards)
+export const EVENT_ACTIONS = new Set(["event", "update_event", "cancel_event"]);
+
+// Action types that send mail (may be delayed for undo or scheduled; see outboxStore.js)
+export const MAIL_ACTIONS = new Set(["email", "reply", "forward"]);
+
+/**
+ * Uses the explicit provider when given (must be connected),
+ * otherwise the first connected provider (registry order) that supports the action.
+ */
+export async function resolveProvider(uid, requested, type) {
+  const method = ACTION_METHODS[type];
+
+  if (requested != null && requested !== "") {
+    if (!getProvider(requested)) {
+      throw actionError("invalid_payload", `'provider' must be one of: ${providerIds().join(", ")}`);
+    }
+    if (method && !supports(requested, method)) {
+      throw actionError("invalid_payload", `${requested} does not support ${type} actions`);
+    }
+    if (!(await getProviderTokens(uid, requested))) {
+      throw actionError("not_connected", `No access token found for provider: ${requested}`);
+    }
+    return requested;
+  }
+
+  for (const p of providerIds()) {
+    if (method && !supports(p, method)) continue;
+    if (await getProviderTokens(uid, p)) return p;
+  }
+  throw actionError("not_connected", "No email/calendar provider connected");
+}
+
+/**
+ * @param {string} uid
+ * @param {{ type: "email"|"reply"|"forward"|"event"|"update_event"|"cancel_event", provider: string, payload: object }} action
+ * @returns normalized result ({ provider, id, threadId } for mail / { provider, id, webLink, status,
+ *          allDay, startISO, endISO, timeZone } for created and rescheduled events, times in the
+ *          user's zone / { provider, id, status: "cancelled" } for cancellations)
+ */
+export async function executeAction(uid, { type, provider, payload }) {
+  const method = ACTION_METHODS[type];
+  const adapter = getProvider(provider);
+  if (!method || !adapter || !supports(provider, method)) {
+    throw actionError("invalid_payload", `Unsupported action: ${type} via ${provider}`);
+  }
+  const result = await withProviderToken(uid, provider, (t) => adapter[method](t, payload));
+  if (type !== "event" && !(type === "update_event" && payload.startISO)) return result;
+
+  const { allDay, startISO, endISO, timeZone } = payload;
+  return { ...result, allDay, startISO, endISO, timeZone };
+}
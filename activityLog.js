@@ -0,0 +1,159 @@
+import crypto from "node:crypto";
+import { createStore, createKeyedLock } from "./kvStore.js";
+
+/**
+ * Append-only audit log of side-effecting actions (async), for GET /v1/activity and support.
+ *
+ * Backend: ACTIVITY_STORE_BACKEND, else STORAGE_BACKEND ("memory" default, or "file"
+ * -> DATA_DIR/activity.json). See kvStore.js.
+ *
+ * Entry: { id, seq, ts, event, type, provider, source, actionId?, outboxId?, summary?, result?, error?, reason? }
+ *   event:   "proposed" | "confirmed" | "queued" | "cancelled" | "executed" | "failed"
+ *   type:    action type ("email", "reply", "forward", "event", "update_event", "cancel_event")
+ *   source:  "chat" | "api" | "outbox"
+ *   summary: redacted payload (summarizePayload) — masked addresses, no bodies or attachment data
+ *   result:  provider ids only ({ id, threadId, webLink, status })
+ *
+ * Stored per uid as { seq, entries }; seq increases per user and is the pagination cursor.
+ * Entries are never changed; the oldest are dropped beyond MAX_ENTRIES_PER_USER.
+ * Recording never throws: a failed write is logged and the action goes on.
+ */
+
+const BACKEND = process.env.ACTIVITY_STORE_BACKEND || process.env.STORAGE_BACKEND || "memory";
+const store = createStore(BACKEND, "activity.json");
+
+const MAX_ENTRIES_PER_USER = 2000;
+const MAX_TEXT = 80;
+
+// Appends are read-modify-write; serialize per user
+const withLock = createKeyedLock();
+
+// --------------------
+// Redaction
+// --------------------
+// "jane.doe@example.com" -> "j***@example.com"
+export function maskEmail(email) {
+  const s = String(email || "");
+  const at = s.lastIndexOf("@");
+  if (at < 1) return "***";
+  return `${s[0]}***${s.slice(at)}`;
+}
+
+function maskList(list) {
+  return Array.isArray(list) ? list.map((r) => maskEmail(r?.email ?? r)) : [];
+}
+
+function clip(s) {
+  const t = String(s ?? "");
+  return t.length > MAX_TEXT ? `${t.slice(0, MAX_TEXT - 1)}…` : t;
+}
+
+/**
+ * What was sent / booked, without message bodies, attachment data or full addresses.
+ */
+export function summarizePayload(type, payload = {}) {
+  switch (type) {
+    case "email":
+      return {
+        to: maskList(payload.to),
+        cc: maskList(payload.cc),
+        bcc: maskList(payload.bcc),
+        subject: clip(payload.subject),
+        bodyChars: String(payload.bodyText ?? "").length,
+        attachments: payload.attachments?.length ?? 0,
+      };
+    case "reply":
+      return {
+        messageId: payload.messageId,
+        replyAll: payload.replyAll === true,
+        bodyChars: String(payload.bodyText ?? "").length,
+      };
+    case "forward":
+      return { messageId: payload.messageId, to: maskList(payload.to), bodyChars: String(payload.bodyText ?? "").length };
+    case "event":
+      return {
+        title: clip(payload.title),
+        allDay: payload.allDay === true,
+        startISO: payload.startISO,
+        endISO: payload.endISO,
+        timeZone: payload.timeZone,
+        attendees: maskList(payload.attendees),
+        recurring: Boolean(payload.recurrence),
+      };
+    case "update_event":
+      return {
+        eventId: payload.eventId,
+        scope: payload.scope,
+        changes: Object.keys(payload).filter((k) => !["eventId", "scope", "notifyAttendees", "provider"].includes(k)),
+        notifyAttendees: payload.notifyAttendees,
+      };
+    case "cancel_event":
+      return { eventId: payload.eventId, scope: payload.scope, notifyAttendees: payload.notifyAttendees };
+    default:
+      return {};
+  }
+}
+
+// Provider ids from an action result (Gmail id/threadId, Graph/Google webLink, event status)
+export function resultIds(result) {
+  if (!result || typeof result !== "object") return undefined;
+  const out = {};
+  for (const k of ["id", "threadId", "webLink", "status"]) {
+    if (result[k] != null) out[k] = result[k];
+  }
+  return out;
+}
+
+// --------------------
+// Store
+// --------------------
+/**
+ * @param {{ event, type, provider, source, actionId?, outboxId?, payload?, result?, error?, reason? }} entry
+ *   payload is summarized here; error may be an Error or { code, message }
+ */
+export async function recordActivity(uid, entry) {
+  const { event, type, provider, source, actionId, outboxId, payload, result, error, reason } = entry;
+  try {
+    return await withLock(String(uid), async () => {
+      const current = (await store.get(String(uid))) || { seq: 0, entries: [] };
+      const seq = current.seq + 1;
+      const record = {
+        id: `evt_${crypto.randomBytes(9).toString("base64url")}`,
+        seq,
+        ts: Date.now(),
+        event,
+        type,
+        provider: provider ?? null,
+        source,
+        ...(actionId ? { actionId } : {}),
+        ...(outboxId ? { outboxId } : {}),
+        ...(payload ? { summary: summarizePayload(type, payload) } : {}),
+        ...(result ? { result: resultIds(result) } : {}),
+        ...(error ? { error: { code: error.code || null, message: error.message || String(error) } } : {}),
+        ...(reason ? { reason } : {}),
+      };
+      await store.set(String(uid), { seq, entries: [...current.entries, record].slice(-MAX_ENTRIES_PER_USER) });
+      return record;
+    });
+  } catch (err) {
+    console.error("ACTIVITY LOG ERROR:", err);
+    return null;
+  }
+}
+
+/**
+ * Newest first. before = seq from the previous page's nextBefore.
+ * Filters: type (action type), actionId, outboxId.
+ */
+export async function listActivity(uid, { limit = 50, before = null, type = null, actionId = null, outboxId = null } = {}) {
+  const entries = ((await store.get(String(uid)))?.entries || []).filter(
+    (e) =>
+      (before == null || e.seq < before) &&
+      (type == null || e.type === type) &&
+      (actionId == null || e.actionId === actionId) &&
+      (outboxId == null || e.outboxId === outboxId)
+  );
+
+  const page = entries.slice(-limit).reverse();
+  return { activity: page, nextBefore: entries.length > limit ? page[page.length - 1].seq : null };
+}
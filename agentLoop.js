@@ -0,0 +1,149 @@
+import { getLlmClient, extractFunctionCalls, extractUsage } from "./llmClient.js";
+import { parseArgs, isReadOnlyTool, executeReadTool } from "./chatTools.js";
+import { recordUsage } from "./usageStore.js";
+
+/**
+ * Bounded tool-calling loop on top of the configured LLM client (llmClient.js, Responses API shapes).
+ *
+ * Each iteration calls the model. If every function call it returns is a read-only
+ * tool, the server runs them, appends the model's output items plus one
+ * `function_call_output` per call to the input, and calls the model again.
+ *
+ * Stops when:
+ *   - the model answers without function calls
+ *   - the model proposes a side-effecting action (propose_*): the caller turns it into a pending action
+ *   - the iteration or time budget runs out: one last call with tool_choice "none" forces an answer
+ *
+ * Streaming: when `onEvent` is given, model calls use client.stream() and the loop reports
+ *   { type: "delta", text }                          assistant text as it arrives
+ *   { type: "tool_call", name, arguments, readOnly } each function call the model made
+ *   { type: "tool_result", name, ms, error }         after a read-only tool ran
+ *
+ * Every model call's token usage and latency is recorded for the user (usageStore.js).
+ */
+
+const MIN_CALL_MS = 3000; // don't start a model call with less time than this
+
+/**
+ * @param {Object} params
+ * @param {string} params.uid
+ * @param {Array} params.input              Responses input items
+ * @param {Array} params.tools              proposal + read-only tools
+ * @param {string|null} params.provider     default provider for read-only tools
+ * @param {string[]} [params.providers]     all connected providers (calendar tools read each)
+ * @param {string} [params.timeZone]        user's IANA zone for calendar tool times
+ * @param {number} params.max_output_tokens
+ * @param {number} [params.maxIterations]   model calls that may run tools (default 4)
+ * @param {number} [params.budgetMs]        wall-clock budget for the whole loop (default 25s), streamed calls included
+ * @param {number} [params.toolTimeoutMs]   per provider call
+ * @param {string} [params.feature]        usage label (default "chat")
+ * @param {Function} [params.onEvent]       enables streaming (see above)
+ * @param {AbortSignal} [params.signal]     stops the loop and the upstream stream (client disconnected)
+ * @returns {Promise<{ response: object, toolSteps: Array<{ name, ms, error }> }>}
+ */
+export async function runAgentLoop({
+  uid,
+  input,
+  tools,
+  provider,
+  providers,
+  timeZone,
+  max_output_tokens,
+  maxIterations = 4,
+  budgetMs = 25_000,
+  toolTimeoutMs = 5000,
+  feature = "chat",
+  onEvent,
+  signal,
+}) {
+  const t0 = performance.now();
+  const remaining = () => budgetMs - (performance.now() - t0);
+
+  async function callModel(params) {
+    const tCall = performance.now();
+    const response = await requestModel(params);
+    await recordUsage(uid, {
+      feature,
+      ...extractUsage(response),
+      latencyMs: performance.now() - tCall,
+      streamed: Boolean(onEvent),
+    });
+    return response;
+  }
+
+  function requestModel(params) {
+    if (signal?.aborted) {
+      const err = new Error("Client disconnected");
+      err.name = "AbortError";
+      err.code = "client_aborted";
+      throw err;
+    }
+    const llm = getLlmClient();
+    if (!onEvent) return llm.complete(params);
+
+    return llm.stream({
+      ...params,
+      signal,
+      onEvent: (evt) => {
+        if (evt.type === "response.output_text.delta" && evt.delta) {
+          onEvent({ type: "delta", text: evt.delta });
+        } else if (evt.type === "response.output_item.done" && evt.item?.type === "function_call") {
+          onEvent({
+            type: "tool_call",
+            name: evt.item.name,
+            arguments: evt.item.arguments,
+            readOnly: isReadOnlyTool(evt.item.name),
+          });
+        }
+      },
+    });
+  }
+
+  const items = [...input];
+  const toolSteps = [];
+
+  for (let i = 0; i < maxIterations; i++) {
+    const response = await callModel({
+      input: items,
+      tools,
+      max_output_tokens,
+      timeoutMs: Math.max(MIN_CALL_MS, remaining()),
+    });
+
+    const calls = extractFunctionCalls(response);
+    const readCalls = calls.filter((c) => isReadOnlyTool(c.name));
+
+    // Answer, or a proposal for the user to confirm: hand back to the caller
+    if (calls.length === 0 || readCalls.length !== calls.length) return { response, toolSteps };
+
+    const outputs = await Promise.all(
+      readCalls.map(async (c) => {
+        const tTool = performance.now();
+        const result = await executeReadTool(uid, c.name, parseArgs(c.arguments) || {}, {
+          provider,
+          providers,
+          timeZone,
+          timeoutMs: toolTimeoutMs,
+        });
+        const step = { name: c.name, ms: Math.round(performance.now() - tTool), error: result?.error || null };
+        toolSteps.push(step);
+        onEvent?.({ type: "tool_result", ...step });
+        return { type: "function_call_output", call_id: c.call_id, output: JSON.stringify(result) };
+      })
+    );
+
+    items.push(...(response.output || []), ...outputs);
+
+    if (remaining() < MIN_CALL_MS * 2) break;
+  }
+
+  // Budget exhausted: answer with what has been gathered so far
+  const response = await callModel({
+    input: items,
+    tools,
+    tool_choice: "none",
+    max_output_tokens,
+    timeoutMs: Math.max(MIN_CALL_MS, remaining()),
+  });
+  return { response, toolSteps };
+}
@@ -11,6 +11,8 @@ import admin from "firebase-admin";
  *
  * Exports:
  *   - requireAuth (named)
+ *   - requireAdmin (named; after requireAuth) — custom claim `admin: true`, or a uid listed in
+ *     ADMIN_UIDS (comma-separated)
  *   - default requireAuth
  */
 
@@ -41,4 +43,20 @@ export async function requireAuth(req, res, next) {
   }
 }
 
+const ADMIN_UIDS = new Set(
+  String(process.env.ADMIN_UIDS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+
+export function requireAdmin(req, res, next) {
+  if (req.user?.admin === true || ADMIN_UIDS.has(req.user?.uid)) return next();
+  return res.status(403).json({
+    ok: false,
+    error: "forbidden",
+    details: "Admin access required",
+  });
+}
+
 export default requireAuth;
@@ -0,0 +1,471 @@
+import { withProviderToken } from "./tokenManager.js";
+import { getProvider, providerIds, supports } from "./providerRegistry.js";
+import {
+  DEFAULT_TIME_ZONE,
+  parseDateTimeInZone,
+  toZonedISO,
+  isDateOnly,
+  startOfDayInZone,
+} from "./timeZones.js";
+import { providerTimeMs, listCalendarEvents, busyIntervals, validateSlotRequest, findSlots } from "./scheduling.js";
+
+/**
+ * Tool definitions for /v1/chat (Responses API: tools need a top-level `name`).
+ *
+ * - PROPOSAL_TOOLS are side-effecting: the server only stores them as pending actions
+ *   and waits for the user's confirmation.
+ * - READ_ONLY_TOOLS are executed by the server inside the agent loop (agentLoop.js)
+ *   and their output is fed back to the model.
+ */
+
+const PROVIDER_PARAM = {
+  type: "string",
+  enum: providerIds(),
+  description: "Account to use. Match the provider of the email/event being replied to or scheduled around.",
+};
+
+const RECIPIENTS_PARAM = {
+  type: "array",
+  items: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      email: { type: "string" },
+      name: { type: "string", description: "Display name, if known" },
+    },
+    required: ["email"],
+  },
+};
+
+const RECURRENCE_PARAM = {
+  type: "object",
+  additionalProperties: false,
+  description: "Repeat rule. Monthly/yearly repeat on the start date's day. Give count or until, not both.",
+  properties: {
+    frequency: { type: "string", enum: ["daily", "weekly", "monthly", "yearly"] },
+    interval: { type: "integer", minimum: 1, description: "Every n days/weeks/...; default 1" },
+    daysOfWeek: {
+      type: "array",
+      items: { type: "string", enum: ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"] },
+      description: "Weekly only; default the start date's weekday",
+    },
+    count: { type: "integer", minimum: 1, description: "Number of occurrences" },
+    until: { type: "string", description: "Last date (YYYY-MM-DD), inclusive" },
+  },
+  required: ["frequency"],
+};
+
+const SCOPE_PARAM = {
+  type: "string",
+  enum: ["occurrence", "series"],
+  description: "For recurring events (seriesId set): just this occurrence (default) or the whole series",
+};
+
+const SEND_AT_PARAM = {
+  type: "string",
+  description: "Only when the user asks to send later: local date-time (YYYY-MM-DDTHH:mm) to send at",
+};
+
+export const PROPOSAL_TOOLS = [
+  {
+    type: "function",
+    name: "propose_calendar_event",
+    description: "Propose a calendar event for user confirmation. Do NOT create it directly.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: PROVIDER_PARAM,
+        title: { type: "string" },
+        allDay: { type: "boolean" },
+        startISO: {
+          type: "string",
+          description: "Local date-time in the user's time zone (YYYY-MM-DDTHH:mm), or a date (YYYY-MM-DD) when allDay",
+        },
+        endISO: {
+          type: "string",
+          description: "Local date-time in the user's time zone, or the exclusive end date when allDay",
+        },
+        description: { type: "string" },
+        location: { type: "string" },
+        attendees: { type: "array", items: { type: "string" } },
+        recurrence: RECURRENCE_PARAM,
+        allowConflicts: {
+          type: "boolean",
+          description: "Only when the user explicitly accepted a clash with an existing event or busy attendee",
+        },
+      },
+      required: ["provider", "title", "startISO", "endISO"],
+    },
+  },
+  {
+    type: "function",
+    name: "propose_update_event",
+    description:
+      "Propose changing or rescheduling an existing calendar event (by id from the calendar context or " +
+      "list_events) for user confirmation. Only include the fields that change; give startISO and endISO " +
+      "together when moving it. Do NOT change it directly.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: { ...PROVIDER_PARAM, description: "Calendar the event is in" },
+        eventId: { type: "string", description: "id of the event being changed" },
+        title: { type: "string" },
+        allDay: { type: "boolean" },
+        startISO: {
+          type: "string",
+          description: "New local start (YYYY-MM-DDTHH:mm), or a date (YYYY-MM-DD) when allDay",
+        },
+        endISO: {
+          type: "string",
+          description: "New local end, or the exclusive end date when allDay",
+        },
+        description: { type: "string" },
+        location: { type: "string" },
+        scope: SCOPE_PARAM,
+        recurrence: { ...RECURRENCE_PARAM, description: "New repeat rule (scope series only)" },
+        notifyAttendees: { type: "boolean", description: "Send attendees an update (default true)" },
+      },
+      required: ["provider", "eventId"],
+    },
+  },
+  {
+    type: "function",
+    name: "propose_cancel_event",
+    description:
+      "Propose cancelling an existing calendar event (by id from the calendar context or list_events) for " +
+      "user confirmation. Do NOT cancel it directly.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: { ...PROVIDER_PARAM, description: "Calendar the event is in" },
+        eventId: { type: "string", description: "id of the event being cancelled" },
+        scope: SCOPE_PARAM,
+        notifyAttendees: { type: "boolean", description: "Send attendees a cancellation (default true)" },
+        comment: { type: "string", description: "Optional message to attendees" },
+      },
+      required: ["provider", "eventId"],
+    },
+  },
+  {
+    type: "function",
+    name: "propose_email",
+    description: "Propose an email draft for user confirmation. Do NOT send it directly.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: PROVIDER_PARAM,
+        to: RECIPIENTS_PARAM,
+        cc: RECIPIENTS_PARAM,
+        bcc: RECIPIENTS_PARAM,
+        subject: { type: "string" },
+        bodyText: { type: "string" },
+        sendAt: SEND_AT_PARAM,
+      },
+      required: ["provider", "to", "subject", "bodyText"],
+    },
+  },
+  {
+    type: "function",
+    name: "propose_reply",
+    description:
+      "Propose a reply to a received email (by id) for user confirmation. Recipients, subject and threading come " +
+      "from the original. Do NOT send it directly.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: PROVIDER_PARAM,
+        messageId: { type: "string", description: "id of the email being replied to" },
+        replyAll: { type: "boolean" },
+        bodyText: { type: "string", description: "Reply text only; the original is quoted automatically" },
+        sendAt: SEND_AT_PARAM,
+      },
+      required: ["provider", "messageId", "bodyText"],
+    },
+  },
+  {
+    type: "function",
+    name: "propose_forward",
+    description: "Propose forwarding a received email (by id) for user confirmation. Do NOT send it directly.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: PROVIDER_PARAM,
+        messageId: { type: "string", description: "id of the email being forwarded" },
+        to: RECIPIENTS_PARAM,
+        bodyText: { type: "string", description: "Optional note above the forwarded message" },
+        sendAt: SEND_AT_PARAM,
+      },
+      required: ["provider", "messageId", "to"],
+    },
+  },
+];
+
+export const READ_ONLY_TOOLS = [
+  {
+    type: "function",
+    name: "search_mail",
+    description:
+      "Search the user's mailbox. Returns id, from, subject, date and a short preview for each match. " +
+      "Google accepts Gmail search syntax (from:, subject:, newer_than:7d).",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: PROVIDER_PARAM,
+        query: { type: "string" },
+        maxResults: { type: "integer", minimum: 1, maximum: 10 },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    type: "function",
+    name: "get_email",
+    description:
+      "Get the full text of one email by id (from the unread list, the selected email or search_mail results). " +
+      "The body is plain text with the quoted reply chain removed.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: PROVIDER_PARAM,
+        id: { type: "string" },
+      },
+      required: ["id"],
+    },
+  },
+  {
+    type: "function",
+    name: "list_events",
+    description:
+      "List calendar events between two ISO 8601 date-times (max 31 days; local time in the user's zone unless an offset " +
+      "is given). Reads every connected calendar unless provider is given. Times come back in the user's zone.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: PROVIDER_PARAM,
+        startISO: { type: "string" },
+        endISO: { type: "string" },
+      },
+      required: ["startISO", "endISO"],
+    },
+  },
+  {
+    type: "function",
+    name: "find_free_time",
+    description:
+      "Find free slots of at least durationMinutes between two ISO 8601 date-times (local time in the user's zone unless " +
+      "an offset is given), across every connected calendar unless provider is given.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: PROVIDER_PARAM,
+        startISO: { type: "string" },
+        endISO: { type: "string" },
+        durationMinutes: { type: "integer", minimum: 5, maximum: 480 },
+      },
+      required: ["startISO", "endISO", "durationMinutes"],
+    },
+  },
+  {
+    type: "function",
+    name: "find_meeting_slots",
+    description:
+      "Suggest meeting times with other people: checks the user's calendars and the attendees' free/busy, within " +
+      "working hours, and returns ranked slots (best first). Use before proposing a meeting with attendees. " +
+      "unknownAttendees are people whose calendars could not be read.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        provider: { ...PROVIDER_PARAM, description: "Account whose directory is used to look up attendees" },
+        attendees: { type: "array", items: { type: "string" }, description: "Attendee email addresses" },
+        durationMinutes: { type: "integer", minimum: 5, maximum: 480 },
+        startISO: { type: "string", description: "Range start, local (default now)" },
+        endISO: { type: "string", description: "Range end, local (default 7 days later)" },
+        workingHours: {
+          type: "object",
+          additionalProperties: false,
+          description: "Default 09:00–17:00, Monday to Friday",
+          properties: {
+            start: { type: "string", description: "HH:mm" },
+            end: { type: "string", description: "HH:mm" },
+            days: { type: "array", items: { type: "integer", minimum: 0, maximum: 6 }, description: "0 = Sunday" },
+          },
+        },
+        maxResults: { type: "integer", minimum: 1, maximum: 20 },
+      },
+      required: ["durationMinutes"],
+    },
+  },
+];
+
+const READ_ONLY_NAMES = new Set(READ_ONLY_TOOLS.map((t) => t.name));
+
+export function isReadOnlyTool(name) {
+  return READ_ONLY_NAMES.has(name);
+}
+
+export function parseArgs(argVal) {
+  if (!argVal) return null;
+  if (typeof argVal === "object") return argVal;
+  if (typeof argVal !== "string") return null;
+  try {
+    return JSON.parse(argVal);
+  } catch {
+    return null;
+  }
+}
+
+// --------------------
+// Read-only tool execution
+// --------------------
+const MAX_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+const MAX_BODY_CHARS = 4000;
+const MAX_FREE_SLOTS = 8;
+
+function trimText(s, n) {
+  const x = String(s ?? "");
+  return x.length > n ? x.slice(0, n) + "…" : x;
+}
+
+// Range bounds: date-times (wall clock in the user's zone unless they carry an offset) or dates (local midnight)
+function rangeBoundMs(value, timeZone) {
+  return isDateOnly(value) ? startOfDayInZone(value, timeZone) : parseDateTimeInZone(value, timeZone);
+}
+
+function parseRange(args, timeZone) {
+  const startMs = rangeBoundMs(args?.startISO, timeZone);
+  const endMs = rangeBoundMs(args?.endISO, timeZone);
+  if (Number.isNaN(startMs) || Number.isNaN(endMs)) return { error: "startISO and endISO must be ISO 8601 date-times" };
+  if (endMs <= startMs) return { error: "endISO must be after startISO" };
+  if (endMs - startMs > MAX_RANGE_MS) return { error: "Range must be at most 31 days" };
+  return { startMs, endMs };
+}
+
+// Event time for the client/model: dates stay dates, date-times move to the user's zone
+export function zonedEventTime(value, timeZone) {
+  if (isDateOnly(value)) return value;
+  const ms = providerTimeMs(value);
+  return Number.isNaN(ms) ? value : toZonedISO(ms, timeZone);
+}
+
+function compactEvent(ev, timeZone) {
+  return {
+    provider: ev.provider,
+    id: ev.id,
+    title: ev.title,
+    start: zonedEventTime(ev.start, timeZone),
+    end: zonedEventTime(ev.end, timeZone),
+    allDay: ev.allDay || undefined,
+    seriesId: ev.seriesId || undefined,
+    location: trimText(ev.location || "", 120),
+  };
+}
+
+export function computeFreeSlots(events, startMs, endMs, durationMinutes, timeZone = DEFAULT_TIME_ZONE) {
+  const durMs = durationMinutes * 60_000;
+  const busy = busyIntervals(events, timeZone)
+    .filter(([s, e]) => e > startMs && s < endMs)
+    .sort((a, b) => a[0] - b[0]);
+
+  const slots = [];
+  let cursor = startMs;
+  for (const [s, e] of busy) {
+    if (s - cursor >= durMs) slots.push([cursor, s]);
+    cursor = Math.max(cursor, e);
+    if (slots.length >= MAX_FREE_SLOTS) break;
+  }
+  if (slots.length < MAX_FREE_SLOTS && endMs - cursor >= durMs) slots.push([cursor, endMs]);
+
+  return slots.map(([s, e]) => ({ startISO: toZonedISO(s, timeZone), endISO: toZonedISO(e, timeZone) }));
+}
+
+/**
+ * Executes a read-only tool. Never throws: failures are returned as { error }
+ * so the model can recover (e.g. try another query) instead of failing the turn.
+ *
+ * @param {string} uid
+ * @param {string} name
+ * @param {object} args   parsed tool arguments
+ * @param {{ provider: string|null, providers?: string[], timeZone?: string, timeoutMs: number }} ctx
+ *   provider = default connected provider, providers = all connected ones (calendar tools
+ *   read every calendar unless the model names a provider), timeZone = user's IANA zone
+ *   (offset-less times in args are read in it, event times are returned in it)
+ */
+export async function executeReadTool(uid, name, args, ctx) {
+  const provider = args?.provider || ctx.provider;
+  if (!provider) return { error: "No email/calendar provider connected" };
+
+  const calendarProviders = args?.provider ? [args.provider] : ctx.providers?.length ? ctx.providers : [provider];
+
+  const timeoutMs = ctx.timeoutMs;
+  const timeZone = ctx.timeZone || DEFAULT_TIME_ZONE;
+
+  try {
+    const adapter = getProvider(provider);
+    if (!adapter) return { error: `Unknown provider: ${provider}` };
+
+    if (name === "search_mail") {
+      if (!supports(provider, "searchMail")) return { error: `${provider} does not support mail search` };
+      const max = Math.max(1, Math.min(10, Number(args?.maxResults) || 5));
+      const items = await withProviderToken(uid, provider, (t) => adapter.searchMail(t, args?.query, { max, timeoutMs }));
+      return {
+        provider,
+        results: items.map((m) => ({
+          id: m.id,
+          from: trimText(m.from, 120),
+          subject: trimText(m.subject, 140),
+          date: m.date,
+          snippet: trimText(m.snippet, 200),
+        })),
+      };
+    }
+
+    if (name === "get_email") {
+      if (!args?.id) return { error: "id is required" };
+      if (!supports(provider, "getMessage")) return { error: `${provider} does not support reading messages` };
+      const msg = await withProviderToken(uid, provider, (t) => adapter.getMessage(t, args.id, { timeoutMs }));
+      return { ...msg, bodyText: trimText(msg.bodyText, MAX_BODY_CHARS) };
+    }
+
+    if (name === "list_events") {
+      const range = parseRange(args, timeZone);
+      if (range.error) return { error: range.error };
+      const events = await listCalendarEvents(uid, calendarProviders, range.startMs, range.endMs, { timeZone, timeoutMs });
+      return { timeZone, events: events.map((ev) => compactEvent(ev, timeZone)) };
+    }
+
+    if (name === "find_free_time") {
+      const range = parseRange(args, timeZone);
+      if (range.error) return { error: range.error };
+      const duration = Math.max(5, Math.min(480, Number(args?.durationMinutes) || 30));
+      const events = await listCalendarEvents(uid, calendarProviders, range.startMs, range.endMs, { timeZone, timeoutMs });
+      return {
+        calendars: calendarProviders,
+        timeZone,
+        durationMinutes: duration,
+        freeSlots: computeFreeSlots(events, range.startMs, range.endMs, duration, timeZone),
+      };
+    }
+
+    if (name === "find_meeting_slots") {
+      const { request, errors } = validateSlotRequest(args, { timeZone });
+      if (errors.length > 0) return { error: errors.join("; ") };
+      // The user's own busy time comes from every connected calendar; provider only picks whose free/busy API asks about attendees
+      return await findSlots(uid, ctx.providers?.length ? ctx.providers : [provider], request, { timeZone, timeoutMs });
+    }
+
+    return { error: `Unknown tool: ${name}` };
+  } catch (err) {
+    return { error: err?.message || String(err), code: err?.code || null };
+  }
+}
@@ -0,0 +1,118 @@
+import crypto from "node:crypto";
+import { createStore, createKeyedLock } from "./kvStore.js";
+
+/**
+ * Server-owned chat conversations (async).
+ *
+ * Backend: CONVERSATION_STORE_BACKEND, else STORAGE_BACKEND ("memory" default, or "file"
+ * -> DATA_DIR/conversations.json). See kvStore.js.
+ *
+ * Conversation: { id, uid, title, createdAt, updatedAt, messages: Message[] }
+ * Message:      { id, role: "user"|"assistant", text, ts, functionCalls?, pendingActions?, action?,
+ *                result? }
+ *
+ * Assistant messages keep the tool proposals (functionCalls / pendingActions), the confirmed action
+ * (action) and execution results (result) of their turn, so history survives reinstalls and is shared across devices.
+ */
+
+const BACKEND = process.env.CONVERSATION_STORE_BACKEND || process.env.STORAGE_BACKEND || "memory";
+const store = createStore(BACKEND, "conversations.json");
+
+const MAX_STORED_MESSAGES = 200; // oldest messages are dropped beyond this
+const MAX_TITLE = 80;
+
+// Appends are read-modify-write; serialize them per conversation
+const withLock = createKeyedLock();
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString("base64url")}`;
+}
+
+function summary(c) {
+  return {
+    id: c.id,
+    title: c.title,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+    messageCount: c.messages.length,
+  };
+}
+
+async function load(uid, id) {
+  const c = await store.get(String(id));
+  // Other users' conversations look exactly like missing ones
+  if (!c || c.uid !== uid) return null;
+  return c;
+}
+
+export async function createConversation(uid, { title } = {}) {
+  const now = Date.now();
+  const c = {
+    id: newId("conv"),
+    uid,
+    title: String(title || "New conversation").slice(0, MAX_TITLE),
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+  };
+  await store.set(c.id, c);
+  return summary(c);
+}
+
+export async function getConversation(uid, id) {
+  const c = await load(uid, id);
+  return c ? summary(c) : null;
+}
+
+/**
+ * Newest first. `before` (updatedAt ms) pages backwards.
+ */
+export async function listConversations(uid, { limit = 20, before = null } = {}) {
+  const all = (await store.entries())
+    .map(([, c]) => c)
+    .filter((c) => c.uid === uid && (before == null || c.updatedAt < before))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+
+  const page = all.slice(0, limit);
+  return {
+    conversations: page.map(summary),
+    nextBefore: all.length > limit ? page[page.length - 1].updatedAt : null,
+  };
+}
+
+/**
+ * Returns the last `limit` messages (oldest first), or null if the conversation is missing.
+ */
+export async function getMessages(uid, id, { limit = 50 } = {}) {
+  const c = await load(uid, id);
+  if (!c) return null;
+  return c.messages.slice(-limit);
+}
+
+/**
+ * @param {Array<{ role, text, functionCalls?, pendingActions?, action?, result? }>} messages
+ * @returns the stored messages (with ids), or null if the conversation is missing
+ */
+export function appendMessages(uid, id, messages) {
+  return withLock(String(id), async () => {
+    const c = await load(uid, id);
+    if (!c) return null;
+
+    const now = Date.now();
+    const added = messages.map((m) => ({ id: newId("msg"), ts: now, ...m }));
+    c.messages = [...c.messages, ...added].slice(-MAX_STORED_MESSAGES);
+    c.updatedAt = now;
+
+    await store.set(c.id, c);
+    return added;
+  });
+}
+
+export function deleteConversation(uid, id) {
+  return withLock(String(id), async () => {
+    const c = await load(uid, id);
+    if (!c) return false;
+    await store.delete(c.id);
+    return true;
+  });
+}
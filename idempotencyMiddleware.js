@@ -0,0 +1,101 @@
+import crypto from "node:crypto";
+import {
+  beginIdempotentRequest,
+  finishIdempotentRequest,
+  abandonIdempotentRequest,
+} from "./idempotencyStore.js";
+
+/**
+ * Idempotency-Key support for side-effecting routes (mount after requireAuth and before rate limits,
+ * so replays are not counted).
+ *
+ * Expects (optional):
+ *   Idempotency-Key: <1-255 printable ASCII chars, e.g. a UUID per user intent>
+ *
+ * The first request with a key runs normally and its JSON response is stored; a retry with the
+ * same key and body gets that response back (header Idempotent-Replayed: true) instead of running
+ * again. Responses with status >= 500 (including 502 provider errors), 429 (rate limited) and
+ * 499 (client went away) are not stored, so those may be retried.
+ *
+ * Streaming routes (Server-Sent Events) report their final body with
+ * res.locals.idempotency.settle(status, body); a replay is sent as one done/error event.
+ *
+ * Errors: 400 bad_request (malformed key), 409 idempotency_in_progress, 422 idempotency_key_reused.
+ */
+
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+const ERROR_STATUS = { idempotency_in_progress: 409, idempotency_key_reused: 422 };
+
+function fingerprint(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? null)}`)
+    .digest("base64url");
+}
+
+function isEventStream(req) {
+  return req.path.endsWith("/stream") || String(req.headers.accept || "").includes("text/event-stream");
+}
+
+function replayEventStream(res, body) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.write(`event: ${body?.ok ? "done" : "error"}\ndata: ${JSON.stringify(body)}\n\n`);
+  res.end();
+}
+
+export async function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (key == null) return next();
+
+  if (!KEY_RE.test(key)) {
+    return res.status(400).json({
+      ok: false,
+      error: "bad_request",
+      details: "Idempotency-Key must be 1-255 printable ASCII characters",
+    });
+  }
+
+  const uid = req.user.uid;
+
+  let stored;
+  try {
+    stored = await beginIdempotentRequest(uid, key, fingerprint(req));
+  } catch (err) {
+    const status = ERROR_STATUS[err?.code] || 500;
+    return res.status(status).json({
+      ok: false,
+      error: ERROR_STATUS[err?.code] ? err.code : "server_error",
+      details: err?.message || String(err),
+    });
+  }
+
+  if (stored) {
+    res.setHeader("Idempotent-Replayed", "true");
+    if (isEventStream(req)) return replayEventStream(res, stored.body);
+    return res.status(stored.status).json(stored.body);
+  }
+
+  let settled = false;
+  const settle = (status, body) => {
+    if (settled) return;
+    settled = true;
+    const done =
+      status < 500 && status !== 499 && status !== 429
+        ? finishIdempotentRequest(uid, key, { status, body })
+        : abandonIdempotentRequest(uid, key);
+    done.catch((err) => console.error("IDEMPOTENCY ERROR:", err));
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settle(res.statusCode, body);
+    return json(body);
+  };
+  res.locals.idempotency = { settle };
+
+  return next();
+}
+
+export default idempotent;
@@ -0,0 +1,91 @@
+import { createStore, createKeyedLock } from "./kvStore.js";
+
+/**
+ * Idempotency-Key records for side-effecting requests (async).
+ *
+ * Backend: IDEMPOTENCY_STORE_BACKEND, else STORAGE_BACKEND ("memory" default, or "file"
+ * -> DATA_DIR/idempotency.json). See kvStore.js.
+ *
+ * Record (key "<uid>:<Idempotency-Key>"): { fingerprint, state, createdAt, updatedAt, response? }
+ *   state: "in_progress" -> "done" (response = { status, body } of the first execution)
+ *   A request that ends without a storable response drops its record so the client may retry.
+ *
+ * Keys are scoped per user and kept for a day; an "in_progress" claim older than the lease is
+ * treated as abandoned (server restarted mid-request).
+ */
+
+const BACKEND = process.env.IDEMPOTENCY_STORE_BACKEND || process.env.STORAGE_BACKEND || "memory";
+const store = createStore(BACKEND, "idempotency.json");
+
+const KEEP_MS = 24 * 60 * 60 * 1000;
+const IN_PROGRESS_LEASE_MS = 2 * 60_000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Claims are check-then-set; serialize per record
+const withLock = createKeyedLock();
+
+function idempotencyError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function recordKey(uid, key) {
+  return `${uid}:${key}`;
+}
+
+// Drops expired records, at most once per interval
+let lastSweep = 0;
+async function sweep(now) {
+  if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+  lastSweep = now;
+  for (const [k, r] of await store.entries()) {
+    if (now - (r?.createdAt ?? 0) > KEEP_MS) await store.delete(k);
+  }
+}
+
+/**
+ * Claims a key for one request. Returns the stored response when the key already completed,
+ * or null when the caller should execute (and then call finishIdempotentRequest / abandonIdempotentRequest).
+ *
+ * Throws code "idempotency_in_progress" while the first request is still running, and
+ * "idempotency_key_reused" when the key was used for a different request.
+ */
+export function beginIdempotentRequest(uid, key, fingerprint) {
+  const k = recordKey(uid, key);
+  return withLock(k, async () => {
+    const now = Date.now();
+    await sweep(now);
+
+    const record = await store.get(k);
+    const live =
+      record &&
+      now - record.createdAt <= KEEP_MS &&
+      (record.state === "done" || now - record.updatedAt <= IN_PROGRESS_LEASE_MS);
+
+    if (live) {
+      if (record.fingerprint !== fingerprint) {
+        throw idempotencyError("idempotency_key_reused", "This Idempotency-Key was already used for a different request");
+      }
+      if (record.state === "done") return record.response;
+      throw idempotencyError("idempotency_in_progress", "A request with this Idempotency-Key is still running");
+    }
+
+    await store.set(k, { fingerprint, state: "in_progress", createdAt: now, updatedAt: now });
+    return null;
+  });
+}
+
+export function finishIdempotentRequest(uid, key, response) {
+  const k = recordKey(uid, key);
+  return withLock(k, async () => {
+    const record = await store.get(k);
+    if (!record) return;
+    await store.set(k, { ...record, state: "done", updatedAt: Date.now(), response });
+  });
+}
+
+export function abandonIdempotentRequest(uid, key) {
+  const k = recordKey(uid, key);
+  return withLock(k, () => store.delete(k));
+}
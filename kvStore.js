@@ -0,0 +1,194 @@
+import fs from "node:fs/promises";
+import { unlinkSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+ * Minimal async key/value stores for server state that must survive restarts.
+ *
+ * Interface (all async):
+ *   get(key)        -> value | null
+ *   set(key, value)
+ *   delete(key)
+ *   entries()       -> Array<[key, value]>
+ *
+ * Backends:
+ *   - "memory": per-process Map (starter/dev; lost on restart)
+ *   - "file":   one JSON file under DATA_DIR, loaded once and rewritten atomically
+ *               (tmp file + rename) on every change. Single instance only: do not
+ *               point several server processes at the same file.
+ *               A process that has the file loaded keeps `<file>.lock` fresh (pid, host,
+ *               heartbeat); its in-memory copy overwrites any outside change on its next
+ *               write, so offline tools check findLiveWriter() first.
+ */
+
+const WRITER_HEARTBEAT_MS = 30_000;
+const WRITER_STALE_MS = 90_000;
+
+export function createMemoryStore() {
+  const map = new Map();
+  return {
+    async get(key) {
+      return map.has(key) ? map.get(key) : null;
+    },
+    async set(key, value) {
+      map.set(key, value);
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+    async entries() {
+      return Array.from(map.entries());
+    },
+  };
+}
+
+function lockPath(filePath) {
+  return `${filePath}.lock`;
+}
+
+// Marks this process as the live writer of filePath until it exits
+function holdWriterLock(filePath) {
+  const beat = () =>
+    fs
+      .mkdir(path.dirname(filePath), { recursive: true })
+      .then(() =>
+        fs.writeFile(
+          lockPath(filePath),
+          JSON.stringify({ pid: process.pid, host: os.hostname(), heartbeatAt: Date.now() })
+        )
+      )
+      .catch((err) => console.warn(`[kvStore] cannot write ${lockPath(filePath)}:`, err?.message || err));
+
+  beat();
+  setInterval(beat, WRITER_HEARTBEAT_MS).unref();
+  process.on("exit", () => {
+    try {
+      unlinkSync(lockPath(filePath));
+    } catch {
+      // already gone
+    }
+  });
+}
+
+/**
+ * Another process that has filePath loaded (lock heartbeat within the last 90s and, on this host,
+ * still running), or null. Returns the lock { pid, host, heartbeatAt }.
+ */
+export async function findLiveWriter(filePath) {
+  let lock;
+  try {
+    lock = JSON.parse(await fs.readFile(lockPath(filePath), "utf8"));
+  } catch {
+    return null;
+  }
+  const sameHost = lock?.host === os.hostname();
+  if (sameHost && lock.pid === process.pid) return null;
+  if (!(Date.now() - lock?.heartbeatAt < WRITER_STALE_MS)) return null;
+  if (sameHost) {
+    try {
+      process.kill(lock.pid, 0);
+    } catch (err) {
+      if (err?.code === "ESRCH") return null;
+    }
+  }
+  return lock;
+}
+
+export function createFileStore(filePath) {
+  let data = null; // Map, loaded lazily
+  let loading = null;
+  let writeChain = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    if (!loading) {
+      loading = (async () => {
+        try {
+          const raw = await fs.readFile(filePath, "utf8");
+          const json = JSON.parse(raw);
+          data = new Map(Object.entries(json?.records || {}));
+        } catch (err) {
+          if (err?.code !== "ENOENT") throw new Error(`Cannot read store file ${filePath}: ${err?.message || err}`);
+          data = new Map();
+        }
+        holdWriterLock(filePath);
+        return data;
+      })().finally(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  // Writes are serialized so concurrent set/delete calls cannot interleave partial files
+  function persist() {
+    const snapshot = JSON.stringify({ version: 1, records: Object.fromEntries(data) });
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmp = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, snapshot, { mode: 0o600 });
+        await fs.rename(tmp, filePath);
+      });
+    return writeChain;
+  }
+
+  return {
+    async get(key) {
+      const m = await load();
+      return m.has(key) ? m.get(key) : null;
+    },
+    async set(key, value) {
+      const m = await load();
+      m.set(key, value);
+      await persist();
+    },
+    async delete(key) {
+      const m = await load();
+      if (!m.delete(key)) return;
+      await persist();
+    },
+    async entries() {
+      const m = await load();
+      return Array.from(m.entries());
+    },
+  };
+}
+
+/**
+ * Per-key promise lock for read-modify-write / check-then-set sequences on a store:
+ *   const withLock = createKeyedLock();
+ *   withLock(key, async () => { ... })  // runs after every earlier call for the same key settles
+ * A failed call does not block the ones queued after it. Per process only, like the stores.
+ */
+export function createKeyedLock() {
+  const locks = new Map(); // key -> Promise
+
+  return function withLock(key, fn) {
+    const prev = locks.get(key) || Promise.resolve();
+    const next = prev.catch(() => {}).then(fn);
+    const tail = next.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => {
+      if (locks.get(key) === tail) locks.delete(key);
+    });
+    return next;
+  };
+}
+
+export function dataDir() {
+  return path.resolve(process.env.DATA_DIR || ".data");
+}
+
+/**
+ * @param {string} backend  "memory" | "file"
+ * @param {string} fileName file name under DATA_DIR (file backend only)
+ */
+export function createStore(backend, fileName) {
+  const b = String(backend || "memory").trim().toLowerCase();
+  if (b === "memory") return createMemoryStore();
+  if (b === "file") return createFileStore(path.join(dataDir(), fileName));
+  throw new Error(`Unknown storage backend "${backend}" (expected "memory" or "file")`);
+}
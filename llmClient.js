@@ -0,0 +1,563 @@
+// backend-node/llmClient.js
+
+import fetch from "node-fetch";
+
+/**
+ * LLM client, selected by LLM_BACKEND:
+ *
+ *   "openai" (default)    OpenAI Responses API
+ *                         OPENAI_API_KEY, OPENAI_MODEL (gpt-4.1-mini), OPENAI_BASE_URL (https://api.openai.com/v1)
+ *   "azure"               Azure OpenAI deployment (Chat Completions)
+ *                         AZURE_OPENAI_ENDPOINT (https://<resource>.openai.azure.com), AZURE_OPENAI_API_KEY,
+ *                         AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION (2024-10-21)
+ *   "openai_compatible"   any Chat Completions server (vLLM, llama.cpp, Ollama, LM Studio, ...)
+ *                         LLM_BASE_URL (e.g. http://localhost:11434/v1), LLM_MODEL, LLM_API_KEY (optional)
+ *
+ * Timeouts (all backends): LLM_TIMEOUT_MS (12s) per request, LLM_STREAM_IDLE_TIMEOUT_MS (15s) between
+ * streamed chunks; OPENAI_TIMEOUT_MS / OPENAI_STREAM_IDLE_TIMEOUT_MS are still read as fallbacks.
+ *
+ * Client interface (every backend speaks Responses API shapes; Chat Completions backends translate):
+ *   name, model
+ *   complete({ input, tools, tool_choice?, max_output_tokens?, timeoutMs? })           -> Response
+ *   stream({ input, tools, tool_choice?, max_output_tokens?, onEvent, signal?, idleTimeoutMs?, timeoutMs? })
+ *                                                                                   -> Response
+ *
+ *   input:    Responses input items — { role, content } messages (input_text / output_text parts),
+ *             function_call items from an earlier Response's output, function_call_output items
+ *   tools:    Responses function tools { type: "function", name, description, parameters, strict? }
+ *   Response: { id, model, status, output: [message | function_call items], output_text?, usage }
+ *   onEvent:  Responses stream events; Chat Completions backends emit only "response.output_text.delta"
+ *             and "response.output_item.done" (one per function_call item)
+ *
+ * Upstream failures throw `<Backend> error <status>: <message>` with err.status.
+ * Streams are not retried: once deltas were forwarded to the client a retry would duplicate text.
+ */
+
+const BACKENDS = ["openai", "azure", "openai_compatible"];
+
+const LLM_BACKEND = String(process.env.LLM_BACKEND || "openai").trim().toLowerCase();
+if (!BACKENDS.includes(LLM_BACKEND)) {
+  throw new Error(`Invalid LLM_BACKEND "${process.env.LLM_BACKEND}" (expected ${BACKENDS.join(", ")})`);
+}
+
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+
+function clampInt(v, fallback, min, max) {
+  const n = Number.parseInt(String(v ?? ""), 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+async function sleep(ms) {
+  await new Promise((r) => setTimeout(r, ms));
+}
+
+function trimSlash(url) {
+  return String(url || "").replace(/\/+$/, "");
+}
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing ${name} in environment`);
+  return v;
+}
+
+// --------------------
+// Config
+// --------------------
+/**
+ * Backend settings from the environment. Missing settings throw on the first model call, not at
+ * startup, so the API still serves everything else without an LLM configured.
+ * @returns {{ backend, label, wire: "responses"|"chat", url, headers, model }}
+ */
+function loadConfig(backend = LLM_BACKEND) {
+  if (backend === "azure") {
+    const endpoint = trimSlash(requireEnv("AZURE_OPENAI_ENDPOINT"));
+    const deployment = requireEnv("AZURE_OPENAI_DEPLOYMENT");
+    const apiVersion = process.env.AZURE_OPENAI_API_VERSION || "2024-10-21";
+    const path = `/openai/deployments/${encodeURIComponent(deployment)}/chat/completions`;
+    return {
+      backend,
+      label: "Azure OpenAI",
+      wire: "chat",
+      url: `${endpoint}${path}?api-version=${encodeURIComponent(apiVersion)}`,
+      headers: { "api-key": requireEnv("AZURE_OPENAI_API_KEY") },
+      model: deployment,
+    };
+  }
+
+  if (backend === "openai_compatible") {
+    const apiKey = process.env.LLM_API_KEY;
+    return {
+      backend,
+      label: "LLM",
+      wire: "chat",
+      url: `${trimSlash(requireEnv("LLM_BASE_URL"))}/chat/completions`,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      model: requireEnv("LLM_MODEL"),
+    };
+  }
+
+  return {
+    backend: "openai",
+    label: "OpenAI",
+    wire: "responses",
+    url: `${trimSlash(process.env.OPENAI_BASE_URL || "https://api.openai.com/v1")}/responses`,
+    headers: { Authorization: `Bearer ${requireEnv("OPENAI_API_KEY")}` },
+    // Fast default with strong tool calling; override with OPENAI_MODEL
+    model: process.env.OPENAI_MODEL || "gpt-4.1-mini",
+  };
+}
+
+// --------------------
+// Chat Completions translation
+// --------------------
+function contentText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content.map((c) => (typeof c === "string" ? c : c?.text ?? c?.refusal ?? "")).join("");
+}
+
+/**
+ * Responses input items -> Chat Completions messages.
+ * Consecutive function_call items become the tool_calls of one assistant message (joined to the
+ * assistant text before them); function_call_output items become "tool" messages.
+ */
+export function toChatMessages(items) {
+  const messages = [];
+  let assistant = null; // last assistant message, while tool calls may still attach to it
+
+  for (const item of items || []) {
+    if (item?.type === "function_call") {
+      if (!assistant) {
+        assistant = { role: "assistant", content: null };
+        messages.push(assistant);
+      }
+      if (!assistant.content) assistant.content = null;
+      assistant.tool_calls = [
+        ...(assistant.tool_calls || []),
+        { id: item.call_id, type: "function", function: { name: item.name, arguments: item.arguments || "{}" } },
+      ];
+      continue;
+    }
+
+    assistant = null;
+    if (item?.type === "function_call_output") {
+      const output = typeof item.output === "string" ? item.output : JSON.stringify(item.output ?? null);
+      messages.push({ role: "tool", tool_call_id: item.call_id, content: output });
+    } else if (item?.role) {
+      // role messages and "message" output items; Chat Completions has no "developer" role everywhere
+      const role = item.role === "developer" ? "system" : item.role;
+      const message = { role, content: contentText(item.content) };
+      messages.push(message);
+      if (role === "assistant") assistant = message;
+    }
+    // Other item types (reasoning, ...) have no Chat Completions equivalent
+  }
+  return messages;
+}
+
+// Responses function tools -> Chat Completions tools
+export function toChatTools(tools) {
+  return (tools || [])
+    .filter((t) => t?.type === "function")
+    .map(({ name, description, parameters, strict }) => ({
+      type: "function",
+      function: { name, description, parameters, ...(strict === undefined ? {} : { strict }) },
+    }));
+}
+
+/**
+ * Chat Completions reply -> Response. Tool calls become function_call output items;
+ * finish_reason "length" maps to status "incomplete".
+ */
+export function fromChatCompletion(json) {
+  const choice = json?.choices?.[0] || {};
+  const message = choice.message || {};
+  const text = contentText(message.content);
+
+  const output = [];
+  if (text || message.refusal) {
+    output.push({
+      type: "message",
+      role: "assistant",
+      status: "completed",
+      content: [
+        ...(text ? [{ type: "output_text", text }] : []),
+        ...(message.refusal ? [{ type: "refusal", refusal: message.refusal }] : []),
+      ],
+    });
+  }
+  (message.tool_calls || []).forEach((tc, i) => {
+    const args = tc?.function?.arguments;
+    output.push({
+      type: "function_call",
+      status: "completed",
+      // Some local servers leave the id out; the loop needs one to answer the call
+      call_id: tc?.id || `call_${i}`,
+      name: tc?.function?.name,
+      arguments: typeof args === "string" ? args : JSON.stringify(args ?? {}),
+    });
+  });
+
+  const u = json?.usage || {};
+  const inputTokens = u.prompt_tokens ?? 0;
+  const outputTokens = u.completion_tokens ?? 0;
+  return {
+    id: json?.id ?? null,
+    object: "response",
+    model: json?.model ?? null,
+    status: choice.finish_reason === "length" ? "incomplete" : "completed",
+    output,
+    output_text: text,
+    usage: {
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      total_tokens: u.total_tokens ?? inputTokens + outputTokens,
+      input_tokens_details: { cached_tokens: u.prompt_tokens_details?.cached_tokens ?? 0 },
+    },
+  };
+}
+
+function requestBody(config, { input, tools, max_output_tokens, tool_choice }, stream) {
+  const maxOut = clampInt(max_output_tokens, 300, 50, 2000);
+
+  if (config.wire === "responses") {
+    const body = { model: config.model, input, tools, max_output_tokens: maxOut };
+    if (tool_choice) body.tool_choice = tool_choice;
+    if (stream) body.stream = true;
+    return body;
+  }
+
+  const chatTools = toChatTools(tools);
+  const body = { model: config.model, messages: toChatMessages(input), max_tokens: maxOut };
+  // Some servers reject an empty tools list (and tool_choice without tools)
+  if (chatTools.length > 0) {
+    body.tools = chatTools;
+    if (tool_choice) body.tool_choice = tool_choice;
+  }
+  if (stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+  return body;
+}
+
+// --------------------
+// Transport
+// --------------------
+function upstreamError(config, status, json, statusText) {
+  const err = new Error(`${config.label} error ${status}: ${json?.error?.message || statusText || "Unknown error"}`);
+  err.status = status;
+  return err;
+}
+
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+/**
+ * Non-streaming call with a hard timeout and one retry on timeouts, network errors and
+ * transient statuses (429/5xx).
+ */
+async function complete(config, params) {
+  const timeoutMs = clampInt(
+    params.timeoutMs ?? process.env.LLM_TIMEOUT_MS ?? process.env.OPENAI_TIMEOUT_MS,
+    12000,
+    1000,
+    60000
+  );
+  const body = JSON.stringify(requestBody(config, params, false));
+  const maxAttempts = 2;
+
+  for (let attempt = 1; ; attempt++) {
+    let r;
+    try {
+      r = await fetchWithTimeout(
+        config.url,
+        { method: "POST", headers: { ...config.headers, "Content-Type": "application/json" }, body },
+        timeoutMs
+      );
+    } catch (err) {
+      // Timeout (AbortError) or network failure
+      if (attempt < maxAttempts) {
+        await sleep(300 * attempt);
+        continue;
+      }
+      throw err;
+    }
+
+    const json = await r.json().catch(() => ({}));
+    if (r.ok) return config.wire === "responses" ? json : fromChatCompletion(json);
+
+    if (TRANSIENT_STATUSES.includes(r.status) && attempt < maxAttempts) {
+      await sleep(300 * attempt);
+      continue;
+    }
+    throw upstreamError(config, r.status, json, r.statusText);
+  }
+}
+
+// Yields the data of each SSE event; touch() runs on every chunk (idle timeout)
+async function* sseData(body, touch) {
+  let buffer = "";
+  const decoder = new TextDecoder();
+
+  for await (const chunk of body) {
+    touch();
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, "\n");
+
+    // SSE events are separated by a blank line
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) !== -1) {
+      const raw = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+
+      const data = raw
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      if (!data || data === "[DONE]") continue;
+
+      try {
+        yield JSON.parse(data);
+      } catch {
+        // not JSON (comment / keep-alive)
+      }
+    }
+  }
+}
+
+// Responses stream: events are forwarded as they are; the final response comes with response.completed
+async function readResponsesStream(config, events, onEvent) {
+  let final = null;
+  for await (const evt of events) {
+    // "incomplete" still carries a usable response (e.g. max_output_tokens reached)
+    if (evt.type === "response.completed" || evt.type === "response.incomplete") final = evt.response;
+    if (evt.type === "response.failed" || evt.type === "error") {
+      const msg = evt.response?.error?.message || evt.message || evt.error?.message || "stream failed";
+      throw new Error(`${config.label} stream error: ${msg}`);
+    }
+    onEvent?.(evt);
+  }
+  if (!final) throw new Error(`${config.label} stream ended without response.completed`);
+  return final;
+}
+
+// Chat Completions stream: text deltas pass through, tool call fragments are joined per index
+async function readChatStream(config, events, onEvent) {
+  let id = null;
+  let model = null;
+  let usage = null;
+  let finishReason = null;
+  let text = "";
+  let refusal = "";
+  const toolCalls = [];
+
+  for await (const chunk of events) {
+    if (chunk.error) throw new Error(`${config.label} stream error: ${chunk.error.message || "stream failed"}`);
+    id = id || chunk.id || null;
+    model = model || chunk.model || null;
+    if (chunk.usage) usage = chunk.usage; // last chunk (stream_options.include_usage), no choices
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    const delta = choice.delta || {};
+
+    if (delta.content) {
+      text += delta.content;
+      onEvent?.({ type: "response.output_text.delta", delta: delta.content });
+    }
+    if (delta.refusal) refusal += delta.refusal;
+    for (const tc of delta.tool_calls || []) {
+      const i = tc.index ?? toolCalls.length;
+      toolCalls[i] = toolCalls[i] || { id: null, type: "function", function: { name: "", arguments: "" } };
+      if (tc.id) toolCalls[i].id = tc.id;
+      if (tc.function?.name) toolCalls[i].function.name = tc.function.name;
+      if (tc.function?.arguments) toolCalls[i].function.arguments += tc.function.arguments;
+    }
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  }
+
+  if (!finishReason) throw new Error(`${config.label} stream ended without finish_reason`);
+
+  const response = fromChatCompletion({
+    id,
+    model,
+    usage,
+    choices: [
+      {
+        message: { content: text, refusal: refusal || null, tool_calls: toolCalls.filter(Boolean) },
+        finish_reason: finishReason,
+      },
+    ],
+  });
+  for (const item of response.output) {
+    if (item.type === "function_call") onEvent?.({ type: "response.output_item.done", item });
+  }
+  return response;
+}
+
+/**
+ * Streaming call. By default only an idle timeout applies, so long answers are not cut off as long
+ * as tokens keep arriving; timeoutMs (e.g. the agent loop's remaining budget) adds an overall deadline.
+ */
+async function stream(config, { onEvent, signal, idleTimeoutMs, timeoutMs, ...params }) {
+  const idleMs = clampInt(
+    idleTimeoutMs ?? process.env.LLM_STREAM_IDLE_TIMEOUT_MS ?? process.env.OPENAI_STREAM_IDLE_TIMEOUT_MS,
+    15000,
+    1000,
+    60000
+  );
+  const deadlineMs = timeoutMs == null ? null : clampInt(timeoutMs, 12000, 1000, 120000);
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  let timedOut = null; // "idle" | "deadline"
+  const expire = (reason) => {
+    timedOut = reason;
+    controller.abort();
+  };
+
+  let idleTimer = null;
+  const touch = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => expire("idle"), idleMs);
+  };
+  const deadlineTimer = deadlineMs == null ? null : setTimeout(() => expire("deadline"), deadlineMs);
+
+  try {
+    touch();
+    const r = await fetch(config.url, {
+      method: "POST",
+      headers: { ...config.headers, "Content-Type": "application/json", Accept: "text/event-stream" },
+      body: JSON.stringify(requestBody(config, params, true)),
+      signal: controller.signal,
+    });
+
+    if (!r.ok) {
+      const json = await r.json().catch(() => ({}));
+      throw upstreamError(config, r.status, json, r.statusText);
+    }
+
+    const events = sseData(r.body, touch);
+    return config.wire === "responses"
+      ? await readResponsesStream(config, events, onEvent)
+      : await readChatStream(config, events, onEvent);
+  } catch (err) {
+    if (signal?.aborted) {
+      const abortErr = new Error("Client disconnected");
+      abortErr.name = "AbortError";
+      abortErr.code = "client_aborted";
+      throw abortErr;
+    }
+    if (timedOut) {
+      throw new Error(
+        timedOut === "deadline"
+          ? `${config.label} stream did not finish within ${deadlineMs}ms`
+          : `${config.label} stream sent nothing for ${idleMs}ms`
+      );
+    }
+    throw err;
+  } finally {
+    clearTimeout(idleTimer);
+    clearTimeout(deadlineTimer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// --------------------
+// Client
+// --------------------
+/**
+ * @param {string} [backend] defaults to LLM_BACKEND
+ * @returns {{ name, model, complete(params), stream(params) }} see the module comment
+ */
+export function createLlmClient(backend = LLM_BACKEND) {
+  if (!BACKENDS.includes(backend)) throw new Error(`Unknown LLM backend: ${backend}`);
+  const config = loadConfig(backend);
+  return {
+    name: config.backend,
+    model: config.model,
+    complete: (params) => complete(config, params),
+    stream: (params) => stream(config, params),
+  };
+}
+
+let client = null;
+
+// The configured client; created on first use (settings are checked then, see loadConfig)
+export function getLlmClient() {
+  if (!client) client = createLlmClient();
+  return client;
+}
+
+// --------------------
+// Response helpers
+// --------------------
+export function extractAssistantText(response) {
+  try {
+    // Convenient field present in many Responses outputs
+    if (typeof response?.output_text === "string" && response.output_text.trim()) {
+      return response.output_text.trim();
+    }
+
+    const output = response?.output;
+    if (!Array.isArray(output)) return "";
+
+    const chunks = [];
+    for (const item of output) {
+      if (item?.type === "message" && item?.role === "assistant" && Array.isArray(item?.content)) {
+        for (const c of item.content) {
+          if (c?.type === "output_text" && typeof c?.text === "string") chunks.push(c.text);
+          if (c?.type === "refusal" && typeof c?.refusal === "string") chunks.push(c.refusal);
+        }
+      }
+    }
+    return chunks.join("\n").trim();
+  } catch {
+    return "";
+  }
+}
+
+// Token counts of one reply (usage block; zeros when missing)
+export function extractUsage(response) {
+  const u = response?.usage || {};
+  const inputTokens = u.input_tokens ?? 0;
+  const outputTokens = u.output_tokens ?? 0;
+  return {
+    model: response?.model ?? null,
+    inputTokens,
+    outputTokens,
+    cachedTokens: u.input_tokens_details?.cached_tokens ?? 0,
+    totalTokens: u.total_tokens ?? inputTokens + outputTokens,
+  };
+}
+
+export function extractFunctionCalls(response) {
+  try {
+    const output = response?.output;
+    if (!Array.isArray(output)) return [];
+    const calls = [];
+    for (const item of output) {
+      if (item?.type === "function_call") {
+        // call_id is needed to answer the call with a function_call_output item
+        calls.push({ name: item?.name, arguments: item?.arguments, call_id: item?.call_id });
+      }
+    }
+    return calls;
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,30 @@
+// migrateTokenStore.js
+//
+// Moves every stored token record onto the active encryption key
+// (first entry of TOKEN_ENCRYPTION_KEYS):
+// - legacy plaintext records are encrypted
+// - records wrapped with an older key id are re-wrapped
+//
+// Run it with the server stopped: a running server keeps its own copy of tokens.json and
+// would write records wrapped with the old key back on its next token write. The script
+// refuses to run while another process has the file loaded (DATA_DIR/tokens.json.lock).
+//
+// Key rotation:
+//   1) Prepend the new key: TOKEN_ENCRYPTION_KEYS="k2:<new>,k1:<old>" and deploy
+//   2) Stop the server, npm run tokens:migrate, start the server
+//   3) Remove the old key once the migration reports rewrapped=0 on a re-run
+//
+// Usage: npm run tokens:migrate
+
+import "dotenv/config";
+import { rotateTokenKeys } from "./tokenStore.js";
+
+try {
+  const counts = await rotateTokenKeys();
+  console.log(
+    `[migrateTokenStore] total=${counts.total} encrypted=${counts.encrypted} rewrapped=${counts.rewrapped} current=${counts.current}`
+  );
+} catch (err) {
+  console.error("[migrateTokenStore] failed:", err?.message || String(err));
+  process.exitCode = 1;
+}
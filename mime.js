@@ -0,0 +1,470 @@
+import crypto from "node:crypto";
+
+/**
+ * MIME helpers for reading and writing email.
+ *
+ * parseMimeMessage() takes a raw RFC 822 message (Gmail `format=raw`) and returns its
+ * headers plus the first text/plain and text/html bodies, after walking multipart
+ * containers and undoing base64 / quoted-printable transfer encodings and charsets.
+ * Attachments (and forwarded message/rfc822 parts) are skipped.
+ *
+ * readableBody() turns those bodies into plain text for the model / app, with the
+ * quoted reply chain ("On ... wrote:", "> ...", Outlook "From: / Sent:" blocks) removed.
+ *
+ * buildMimeMessage() is the other direction (Gmail sends): RFC 2047 headers,
+ * quoted-printable text, multipart/alternative text+HTML and multipart/mixed attachments.
+ */
+
+const MAX_DEPTH = 10;
+
+// --------------------
+// Decoding
+// --------------------
+export function decodeBase64Url(data) {
+  return Buffer.from(String(data ?? ""), "base64url").toString("utf8");
+}
+
+// Bytes are carried around as latin1 ("binary") strings until the charset is known
+function decodeQuotedPrintable(s) {
+  return String(s)
+    .replace(/=\r?\n/g, "")
+    .replace(/=([0-9A-Fa-f]{2})/g, (_m, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || "utf-8").decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+function decodeTransfer(body, encoding) {
+  const enc = String(encoding || "").toLowerCase();
+  if (enc === "base64") return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ""), "base64");
+  if (enc === "quoted-printable") return Buffer.from(decodeQuotedPrintable(body), "latin1");
+  return Buffer.from(body, "latin1");
+}
+
+// RFC 2047 encoded words: =?charset?B|Q?text?=
+export function decodeMimeWords(value) {
+  return String(value ?? "")
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, "$1")
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (_m, charset, enc, text) => {
+      const bytes =
+        enc.toUpperCase() === "B"
+          ? Buffer.from(text, "base64")
+          : Buffer.from(decodeQuotedPrintable(text.replace(/_/g, " ")), "latin1");
+      return decodeCharset(bytes, charset);
+    });
+}
+
+// --------------------
+// Parsing
+// --------------------
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const idx = line.indexOf(":");
+    if (idx <= 0) continue;
+    const name = line.slice(0, idx).trim().toLowerCase();
+    // Repeated headers (Received, ...) keep the first value
+    if (!(name in headers)) headers[name] = line.slice(idx + 1).trim();
+  }
+  return headers;
+}
+
+// "text/plain; charset=utf-8; format=flowed" -> { value: "text/plain", params: { charset, format } }
+function parseHeaderValue(raw) {
+  const [value, ...rest] = String(raw ?? "").split(";");
+  const params = {};
+  const re = /([^=\s;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;\s]+))/g;
+  let m;
+  while ((m = re.exec(rest.join(";")))) {
+    params[m[1].toLowerCase()] = m[2] != null ? m[2].replace(/\\(.)/g, "$1") : m[3];
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function splitHeadersAndBody(raw) {
+  const m = /\r?\n\r?\n/.exec(raw);
+  if (!m) return { headerBlock: raw, body: "" };
+  return { headerBlock: raw.slice(0, m.index), body: raw.slice(m.index + m[0].length) };
+}
+
+function splitMultipart(body, boundary) {
+  const parts = [];
+  const delimiter = `--${boundary}`;
+  const lines = body.split(/\r?\n/);
+  let current = null;
+
+  for (const line of lines) {
+    if (line.startsWith(delimiter)) {
+      if (current) parts.push(current.join("\r\n"));
+      if (line.slice(delimiter.length).startsWith("--")) return parts;
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  if (current) parts.push(current.join("\r\n"));
+  return parts;
+}
+
+function walkPart(raw, out, depth) {
+  if (depth > MAX_DEPTH) return;
+  const { headerBlock, body } = splitHeadersAndBody(raw);
+  const headers = parseHeaders(headerBlock);
+  const type = parseHeaderValue(headers["content-type"] || "text/plain");
+  const disposition = parseHeaderValue(headers["content-disposition"]).value;
+
+  if (type.value.startsWith("multipart/")) {
+    if (!type.params.boundary) return;
+    for (const part of splitMultipart(body, type.params.boundary)) walkPart(part, out, depth + 1);
+    return;
+  }
+
+  if (disposition === "attachment") return;
+  if (type.value !== "text/plain" && type.value !== "text/html") return;
+
+  const key = type.value === "text/plain" ? "text" : "html";
+  if (out[key]) return;
+  out[key] = decodeCharset(decodeTransfer(body, headers["content-transfer-encoding"]), type.params.charset);
+}
+
+/**
+ * @param {Buffer|string} raw  full RFC 822 message (string = already-decoded latin1/ascii)
+ * @returns {{ headers: object, text: string, html: string }}
+ *   headers are lower-cased and RFC 2047 decoded
+ */
+export function parseMimeMessage(raw) {
+  const source = Buffer.isBuffer(raw) ? raw.toString("latin1") : String(raw ?? "");
+  const { headerBlock } = splitHeadersAndBody(source);
+
+  const headers = {};
+  for (const [name, value] of Object.entries(parseHeaders(headerBlock))) {
+    headers[name] = decodeMimeWords(value);
+  }
+
+  const out = { text: "", html: "" };
+  walkPart(source, out, 0);
+  return { headers, ...out };
+}
+
+// --------------------
+// Readable text
+// --------------------
+const QUOTE_START = "\u0000qs\u0000";
+const QUOTE_END = "\u0000qe\u0000";
+
+const ENTITIES = { nbsp: " ", amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (m, name) => {
+    const key = name.toLowerCase();
+    if (key in ENTITIES) return ENTITIES[key];
+    const code = key.startsWith("#x") ? parseInt(key.slice(2), 16) : key.startsWith("#") ? parseInt(key.slice(1), 10) : NaN;
+    return Number.isNaN(code) ? m : String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Readable text from an HTML body: block elements become line breaks, list items "- ",
+ * and <blockquote> content is prefixed with "> " so stripQuotedReply() can find it.
+ */
+export function htmlToText(html) {
+  let s = String(html ?? "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<blockquote\b[^>]*>/gi, `\n${QUOTE_START}\n`)
+    .replace(/<\/blockquote\s*>/gi, `\n${QUOTE_END}\n`)
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/?(p|div|tr|table|ul|ol|h[1-6]|hr|pre|section|article|header|footer)\b[^>]*>/gi, "\n")
+    .replace(/<\/t[dh]\s*>/gi, " ")
+    .replace(/<[^>]+>/g, "");
+
+  s = decodeEntities(s).replace(/[ \t\f\v\u00a0]+/g, " ");
+
+  const lines = [];
+  let depth = 0;
+  for (const rawLine of s.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line === QUOTE_START) depth++;
+    else if (line === QUOTE_END) depth = Math.max(0, depth - 1);
+    else lines.push(depth > 0 && line ? `${"> ".repeat(depth)}${line}` : line);
+  }
+  return collapseBlankLines(lines.join("\n"));
+}
+
+function collapseBlankLines(s) {
+  return s.replace(/\n{3,}/g, "\n\n").trim();
+}
+
+const ATTRIBUTION_RE = /^(On\s.+\swrote:|Le\s.+\sa écrit\s?:|Am\s.+\sschrieb\s.+:)$/i;
+const ORIGINAL_MESSAGE_RE = /^-{2,}\s*Original Message\s*-{2,}$/i;
+const HEADER_FROM_RE = /^\*?(From|De|Von):\*?\s/i;
+const HEADER_SENT_RE = /^\*?(Sent|Date|Envoyé|Gesendet):\*?\s/i;
+
+// Index of the first line of the quoted reply chain, or -1
+function findQuoteStart(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const next = (lines[i + 1] || "").trim();
+
+    // "On Mon, Jan 5, 2026 at 9:00 AM Jane <jane@example.com> wrote:" (often wrapped over two lines)
+    if (ATTRIBUTION_RE.test(line) || (/^On\s/.test(line) && /wrote:$/.test(next))) return i;
+    if (ORIGINAL_MESSAGE_RE.test(line)) return i;
+
+    // Outlook: optional "_____" rule, then "From: ..." followed by "Sent: ..." within a few lines
+    const fromIdx = /^_{5,}$/.test(line) && HEADER_FROM_RE.test(next) ? i + 1 : i;
+    if (HEADER_FROM_RE.test(lines[fromIdx].trim())) {
+      const window = lines.slice(fromIdx + 1, fromIdx + 5).map((l) => l.trim());
+      if (window.some((l) => HEADER_SENT_RE.test(l))) return i;
+    }
+  }
+
+  // Trailing block of "> " lines (interleaved inline replies are kept)
+  let start = lines.length;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i].trim();
+    if (line.startsWith(">")) start = i;
+    else if (line) break;
+  }
+  return start < lines.length ? start : -1;
+}
+
+/**
+ * Removes the quoted reply chain. Messages that are nothing but a quote are returned unchanged.
+ */
+export function stripQuotedReply(text) {
+  const lines = String(text ?? "").split(/\r?\n/);
+  const idx = findQuoteStart(lines);
+  if (idx < 0) return collapseBlankLines(lines.join("\n"));
+
+  const kept = collapseBlankLines(lines.slice(0, idx).join("\n"));
+  return kept || collapseBlankLines(lines.join("\n"));
+}
+
+/**
+ * Plain-text body for display / the model: text/plain when present, else converted HTML,
+ * with the quoted reply chain stripped (kept with opts.keepQuoted, e.g. for forwards).
+ */
+export function readableBody({ text, html }, opts = {}) {
+  const plain = String(text ?? "").trim() ? text : htmlToText(html);
+  return opts.keepQuoted ? collapseBlankLines(plain) : stripQuotedReply(plain);
+}
+
+// "> "-prefixed copy of text for reply bodies and confirmation previews
+export function quoteText(text, maxLines = Infinity) {
+  const lines = String(text ?? "").split(/\r?\n/);
+  const shown = lines.slice(0, maxLines).map((l) => (l ? `> ${l}` : ">"));
+  if (lines.length > maxLines) shown.push("> …");
+  return shown.join("\n");
+}
+
+// Plain text as an HTML fragment (escaped, line breaks kept)
+export function textToHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\r?\n/g, "<br>");
+}
+
+// --------------------
+// Address lists
+// --------------------
+/**
+ * Splits an address header ("Jane <jane@x.com>, \"Doe, John\" <john@y.com>, z@z.com")
+ * into [{ name, email, raw }], respecting quoted names. Entries are not validated
+ * (group syntax such as "undisclosed-recipients:;" comes back with no "@").
+ */
+export function parseAddressList(value) {
+  const entries = [];
+  let current = "";
+  let quoted = false;
+  let angle = false;
+
+  for (const ch of String(value ?? "")) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === "<" && !quoted) angle = true;
+    else if (ch === ">" && !quoted) angle = false;
+
+    if (ch === "," && !quoted && !angle) {
+      entries.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  entries.push(current);
+
+  return entries
+    .map((raw) => raw.trim())
+    .filter(Boolean)
+    .map((raw) => {
+      const m = raw.match(/^(.*)<([^>]*)>\s*$/);
+      const email = (m ? m[2] : raw).trim();
+      const name = m ? m[1].trim().replace(/^"(.*)"$/, "$1").replace(/\\(.)/g, "$1") : "";
+      return { name, email, raw };
+    });
+}
+
+// { name, email } -> header form: Jane Doe <jane@x.com>; names with specials are quoted,
+// non-ASCII names become RFC 2047 encoded words
+export function formatAddress({ name, email }) {
+  const n = String(name ?? "").replace(/[\r\n]+/g, " ").trim();
+  if (!n) return email;
+  if (!isPlainAscii(n)) return `${encodeMimeWords(n)} <${email}>`;
+  const safe = /^[\w !#$%&'*+\-/=?^`{|}~]+$/.test(n) ? n : `"${n.replace(/(["\\])/g, "\\$1")}"`;
+  return `${safe} <${email}>`;
+}
+
+// --------------------
+// Building
+// --------------------
+const LINE_LIMIT = 76;
+const ENCODED_WORD_BYTES = 45; // 60 base64 chars -> "=?UTF-8?B?...?=" stays within 75
+
+function isPlainAscii(s) {
+  return /^[\x20-\x7e]*$/.test(s) && !s.includes("=?");
+}
+
+// RFC 2047 B-encoding, split on character boundaries so no word holds half a UTF-8 sequence
+export function encodeMimeWords(value) {
+  const words = [];
+  let chunk = "";
+  for (const ch of String(value ?? "")) {
+    if (Buffer.byteLength(chunk + ch) > ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += ch;
+  }
+  if (chunk) words.push(chunk);
+  return words.map((w) => `=?UTF-8?B?${Buffer.from(w, "utf8").toString("base64")}?=`).join(" ");
+}
+
+function encodeHeaderValue(value) {
+  const v = String(value ?? "").replace(/[\r\n]+/g, " ");
+  return isPlainAscii(v) ? v : encodeMimeWords(v);
+}
+
+// Folds at existing spaces so lines stay near 78 characters (unfolding restores the value)
+function foldHeader(name, value) {
+  const tokens = `${name}: ${value}`.split(" ");
+  const lines = [];
+  let line = tokens.shift();
+  for (const t of tokens) {
+    if (line.length + 1 + t.length > LINE_LIMIT + 2 && line.length > name.length + 1) {
+      lines.push(line);
+      line = ` ${t}`;
+    } else {
+      line += ` ${t}`;
+    }
+  }
+  lines.push(line);
+  return lines.join("\r\n");
+}
+
+function encodeQuotedPrintable(text) {
+  const out = [];
+  for (const line of String(text ?? "").split(/\r?\n/)) {
+    const bytes = Buffer.from(line, "utf8");
+    let encoded = "";
+    let current = "";
+    bytes.forEach((b, i) => {
+      const last = i === bytes.length - 1;
+      const literal = (b >= 33 && b <= 126 && b !== 61) || ((b === 32 || b === 9) && !last);
+      const piece = literal ? String.fromCharCode(b) : `=${b.toString(16).toUpperCase().padStart(2, "0")}`;
+      // Soft line break ("=") keeps every physical line within 76 characters
+      if (current.length + piece.length > LINE_LIMIT - 1) {
+        encoded += `${current}=\r\n`;
+        current = "";
+      }
+      current += piece;
+    });
+    out.push(encoded + current);
+  }
+  return out.join("\r\n");
+}
+
+function wrapBase64(b64) {
+  return String(b64).match(new RegExp(`.{1,${LINE_LIMIT}}`, "g"))?.join("\r\n") ?? "";
+}
+
+// RFC 2231 parameter for non-ASCII file names, quoted string otherwise
+function fileNameParam(param, filename) {
+  const name = String(filename || "attachment").replace(/[\r\n]+/g, " ");
+  if (isPlainAscii(name)) return `${param}="${name.replace(/(["\\])/g, "\\$1")}"`;
+  return `${param}*=UTF-8''${encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+}
+
+function newBoundary() {
+  return `mindenu_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function textPart(subtype, content) {
+  return [
+    `Content-Type: text/${subtype}; charset="UTF-8"`,
+    "Content-Transfer-Encoding: quoted-printable",
+    "",
+    encodeQuotedPrintable(content),
+  ].join("\r\n");
+}
+
+function attachmentPart(a) {
+  const type = /^[\w.+-]+\/[\w.+-]+$/.test(a.mimeType || "") ? a.mimeType : "application/octet-stream";
+  return [
+    `Content-Type: ${type}; ${fileNameParam("name", a.filename)}`,
+    `Content-Disposition: attachment; ${fileNameParam("filename", a.filename)}`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrapBase64(a.contentBase64),
+  ].join("\r\n");
+}
+
+function multipart(subtype, parts) {
+  const boundary = newBoundary();
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    "",
+    ...parts.flatMap((p) => [`--${boundary}`, p]),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+/**
+ * @param {{
+ *   to: {name?, email}[], cc?: [], bcc?: [], subject: string,
+ *   inReplyTo?: string, references?: string,
+ *   text: string, html?: string,
+ *   attachments?: { filename, mimeType, contentBase64 }[]
+ * }} msg
+ * @returns {string} RFC 822 message with CRLF line endings. Bcc is included as a header:
+ *   Gmail uses it for delivery and removes it from what recipients see.
+ */
+export function buildMimeMessage(msg) {
+  const addresses = (list) => list.map(formatAddress).join(", ");
+  const headers = [foldHeader("To", addresses(msg.to))];
+  if (msg.cc?.length) headers.push(foldHeader("Cc", addresses(msg.cc)));
+  if (msg.bcc?.length) headers.push(foldHeader("Bcc", addresses(msg.bcc)));
+  headers.push(foldHeader("Subject", encodeHeaderValue(msg.subject)));
+  // Threading headers may come from a received message; never let them add lines
+  if (msg.inReplyTo) headers.push(foldHeader("In-Reply-To", encodeHeaderValue(msg.inReplyTo)));
+  if (msg.references) headers.push(foldHeader("References", encodeHeaderValue(msg.references)));
+  headers.push("MIME-Version: 1.0");
+
+  let body = msg.html
+    ? multipart("alternative", [textPart("plain", msg.text), textPart("html", msg.html)])
+    : textPart("plain", msg.text);
+
+  if (msg.attachments?.length) {
+    body = multipart("mixed", [body, ...msg.attachments.map(attachmentPart)]);
+  }
+
+  return `${headers.join("\r\n")}\r\n${body}`;
+}
@@ -1,8 +1,10 @@
 import fetch from "node-fetch";
 import { setProviderTokens } from "./tokenStore.js";
+import { consumeStartTicket, createOAuthState, consumeOAuthState, redirectOAuthError } from "./oauthState.js";
 
 const GOOGLE_AUTH = "https://accounts.google.com/o/oauth2/v2/auth";
 const GOOGLE_TOKEN = "https://oauth2.googleapis.com/token";
+const GOOGLE_REVOKE = "https://oauth2.googleapis.com/revoke";
 
 // Safe default scopes if env var is missing/misconfigured
 const DEFAULT_GOOGLE_SCOPES =
@@ -10,9 +12,31 @@ const DEFAULT_GOOGLE_SCOPES =
   "https://www.googleapis.com/auth/gmail.readonly " +
   "https://www.googleapis.com/auth/calendar.events";
 
+// The id_token comes straight from Google's token endpoint over TLS, so its claims can be
+// read without signature verification. Used only as a display label for the account.
+function accountFromIdToken(idToken) {
+  try {
+    const claims = JSON.parse(Buffer.from(String(idToken).split(".")[1], "base64url").toString("utf8"));
+    return claims.email || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /v1/oauth/google/start?ticket=...
+ * The ticket comes from POST /v1/oauth/google/ticket (see oauthState.js).
+ */
 export function googleStart(req, res) {
-  const { uid, deep_link } = req.query;
-  if (!uid || !deep_link) return res.status(400).send("Missing uid or deep_link");
+  const { ticket } = req.query;
+  if (!ticket) return res.status(400).send("Missing ticket");
+
+  let started;
+  try {
+    started = consumeStartTicket(ticket, "google");
+  } catch (err) {
+    return redirectOAuthError(res, "google", err);
+  }
 
   const clientId = process.env.GOOGLE_OAUTH_CLIENT_ID;
   const redirectUri = process.env.GOOGLE_OAUTH_REDIRECT_URI;
@@ -24,7 +48,7 @@ export function googleStart(req, res) {
   const scopes = String(process.env.GOOGLE_SCOPES || DEFAULT_GOOGLE_SCOPES).trim();
   if (!scopes) return res.status(500).send("Missing GOOGLE_SCOPES (scope cannot be empty)");
 
-  const state = Buffer.from(JSON.stringify({ uid, deep_link })).toString("base64url");
+  const { state, codeChallenge } = createOAuthState({ ...started, provider: "google" });
 
   const url = new URL(GOOGLE_AUTH);
   url.searchParams.set("client_id", clientId);
@@ -34,19 +58,29 @@ export function googleStart(req, res) {
   url.searchParams.set("access_type", "offline");
   url.searchParams.set("prompt", "consent");
   url.searchParams.set("state", state);
+  url.searchParams.set("code_challenge", codeChallenge);
+  url.searchParams.set("code_challenge_method", "S256");
 
   res.redirect(url.toString());
 }
 
 export async function googleCallback(req, res) {
+  let deep_link = null;
   try {
-    const { code, state } = req.query;
-    if (!code || !state) return res.status(400).send("Missing code or state");
+    const { code, state, error } = req.query;
+    if (!state) return res.status(400).send("Missing state");
+
+    let verified;
+    try {
+      verified = consumeOAuthState(state, "google");
+    } catch (err) {
+      return redirectOAuthError(res, "google", err);
+    }
+    const { uid, codeVerifier } = verified;
+    deep_link = verified.deep_link;
 
-    const decoded = JSON.parse(Buffer.from(String(state), "base64url").toString("utf8"));
-    const uid = decoded.uid;
-    const deep_link = decoded.deep_link;
-    if (!uid || !deep_link) return res.status(400).send("Invalid state");
+    // User denied consent (or Google reported another error)
+    if (error || !code) return redirectOAuthError(res, "google", { code: String(error || "missing_code"), deep_link });
 
     const clientId = process.env.GOOGLE_OAUTH_CLIENT_ID;
     const clientSecret = process.env.GOOGLE_OAUTH_CLIENT_SECRET;
@@ -62,6 +96,7 @@ export async function googleCallback(req, res) {
     body.set("client_secret", clientSecret);
     body.set("redirect_uri", redirectUri);
     body.set("grant_type", "authorization_code");
+    body.set("code_verifier", codeVerifier);
 
     const r = await fetch(GOOGLE_TOKEN, {
       method: "POST",
@@ -71,15 +106,17 @@ export async function googleCallback(req, res) {
 
     const j = await r.json();
     if (!r.ok) {
-      return res.status(400).send(`Token exchange failed: ${JSON.stringify(j)}`);
+      console.warn("[oauthGoogle] token exchange failed:", JSON.stringify(j));
+      return redirectOAuthError(res, "google", { code: "token_exchange_failed", deep_link });
     }
 
-    setProviderTokens(uid, "google", {
+    await setProviderTokens(uid, "google", {
       access_token: j.access_token,
       refresh_token: j.refresh_token,
       expires_in: j.expires_in,
       scope: j.scope,
       token_type: j.token_type,
+      account: accountFromIdToken(j.id_token),
     });
 
     const dl = new URL(String(deep_link));
@@ -87,6 +124,65 @@ export async function googleCallback(req, res) {
     dl.searchParams.set("status", "connected");
     res.redirect(dl.toString());
   } catch (err) {
+    console.error("[oauthGoogle] callback failed:", err);
+    if (deep_link) return redirectOAuthError(res, "google", { code: "server_error", deep_link });
     res.status(500).send(err?.message || String(err));
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Exchanges a refresh token for a new access token.
+ * Google only returns `refresh_token` here when it rotates it.
+ *
+ * Throws an Error with `code` set to the OAuth error (e.g. "invalid_grant"
+ * when the user revoked access) so callers can tell re-auth apart from outages.
+ */
+export async function googleRefreshAccessToken(refreshToken) {
+  const clientId = process.env.GOOGLE_OAUTH_CLIENT_ID;
+  const clientSecret = process.env.GOOGLE_OAUTH_CLIENT_SECRET;
+
+  if (!clientId) throw new Error("Missing GOOGLE_OAUTH_CLIENT_ID");
+  if (!clientSecret) throw new Error("Missing GOOGLE_OAUTH_CLIENT_SECRET");
+
+  const body = new URLSearchParams();
+  body.set("client_id", clientId);
+  body.set("client_secret", clientSecret);
+  body.set("refresh_token", String(refreshToken));
+  body.set("grant_type", "refresh_token");
+
+  const r = await fetch(GOOGLE_TOKEN, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body,
+  });
+
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    const err = new Error(`Google token refresh failed: ${j?.error_description || j?.error || r.statusText}`);
+    err.code = j?.error || "refresh_failed";
+    throw err;
+  }
+
+  return j;
+}
+
+/**
+ * Revokes a Google token. Revoking the refresh token also invalidates its access tokens
+ * and removes the app's grant from the user's account.
+ * Docs: https://developers.google.com/identity/protocols/oauth2/web-server#tokenrevoke
+ *
+ * Returns true when Google confirmed the revocation (or the token was already invalid).
+ */
+export async function googleRevokeToken(token) {
+  const r = await fetch(GOOGLE_REVOKE, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ token: String(token) }),
+  });
+  if (r.ok) return true;
+
+  const j = await r.json().catch(() => ({}));
+  // invalid_token: already revoked/expired, which is the outcome we want
+  if (j?.error === "invalid_token") return true;
+  throw new Error(`Google revoke failed: ${j?.error_description || j?.error || r.statusText}`);
+}
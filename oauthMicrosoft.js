@@ -1,5 +1,6 @@
 import fetch from "node-fetch";
 import { setProviderTokens } from "./tokenStore.js";
+import { consumeStartTicket, createOAuthState, consumeOAuthState, redirectOAuthError } from "./oauthState.js";
 
 function msAuthorizeUrl() {
   const tenant = process.env.MS_OAUTH_TENANT || "common";
@@ -10,15 +11,37 @@ function msTokenUrl() {
   return `https://login.microsoftonline.com/${tenant}/oauth2/v2.0/token`;
 }
 
+// The id_token comes straight from the token endpoint over TLS, so its claims can be read
+// without signature verification. Used only as a display label for the account
+// (requires "openid profile" or "email" in MS_SCOPES).
+function accountFromIdToken(idToken) {
+  try {
+    const claims = JSON.parse(Buffer.from(String(idToken).split(".")[1], "base64url").toString("utf8"));
+    return claims.email || claims.preferred_username || null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Backend OAuth (confidential client) for Microsoft identity platform.
  * Docs (auth code flow): https://learn.microsoft.com/en-us/entra/identity-platform/v2-oauth2-auth-code-flow
+ *
+ * GET /v1/oauth/microsoft/start?ticket=...
+ * The ticket comes from POST /v1/oauth/microsoft/ticket (see oauthState.js).
  */
 export function microsoftStart(req, res) {
-  const { uid, deep_link } = req.query;
-  if (!uid || !deep_link) return res.status(400).send("Missing uid or deep_link");
+  const { ticket } = req.query;
+  if (!ticket) return res.status(400).send("Missing ticket");
 
-  const state = Buffer.from(JSON.stringify({ uid, deep_link })).toString("base64url");
+  let started;
+  try {
+    started = consumeStartTicket(ticket, "microsoft");
+  } catch (err) {
+    return redirectOAuthError(res, "microsoft", err);
+  }
+
+  const { state, codeChallenge } = createOAuthState({ ...started, provider: "microsoft" });
 
   const url = new URL(msAuthorizeUrl());
   url.searchParams.set("client_id", process.env.MS_OAUTH_CLIENT_ID);
@@ -27,21 +50,82 @@ export function microsoftStart(req, res) {
   url.searchParams.set("response_mode", "query");
   url.searchParams.set("scope", process.env.MS_SCOPES || "");
   url.searchParams.set("state", state);
+  url.searchParams.set("code_challenge", codeChallenge);
+  url.searchParams.set("code_challenge_method", "S256");
   res.redirect(url.toString());
 }
 
 export async function microsoftCallback(req, res) {
-  const { code, state } = req.query;
-  if (!code || !state) return res.status(400).send("Missing code/state");
+  let deep_link = null;
+  try {
+    const { code, state, error } = req.query;
+    if (!state) return res.status(400).send("Missing state");
+
+    let verified;
+    try {
+      verified = consumeOAuthState(state, "microsoft");
+    } catch (err) {
+      return redirectOAuthError(res, "microsoft", err);
+    }
+    const { uid, codeVerifier } = verified;
+    deep_link = verified.deep_link;
+
+    // User denied consent (or Microsoft reported another error)
+    if (error || !code) return redirectOAuthError(res, "microsoft", { code: String(error || "missing_code"), deep_link });
+
+    const body = new URLSearchParams({
+      client_id: process.env.MS_OAUTH_CLIENT_ID,
+      client_secret: process.env.MS_OAUTH_CLIENT_SECRET,
+      code: String(code),
+      redirect_uri: process.env.MS_OAUTH_REDIRECT_URI,
+      grant_type: "authorization_code",
+      scope: process.env.MS_SCOPES || "",
+      code_verifier: codeVerifier,
+    });
+
+    const r = await fetch(msTokenUrl(), {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body,
+    });
+    const j = await r.json();
+    if (!r.ok) {
+      console.warn("[oauthMicrosoft] token exchange failed:", j?.error_description || j?.error || r.statusText);
+      return redirectOAuthError(res, "microsoft", { code: "token_exchange_failed", deep_link });
+    }
+
+    await setProviderTokens(uid, "microsoft", {
+      access_token: j.access_token,
+      refresh_token: j.refresh_token,
+      expires_in: j.expires_in,
+      scope: j.scope,
+      token_type: j.token_type,
+      account: accountFromIdToken(j.id_token),
+    });
 
-  const { uid, deep_link } = JSON.parse(Buffer.from(state, "base64url").toString("utf8"));
+    const dl = new URL(String(deep_link));
+    dl.searchParams.set("provider", "microsoft");
+    dl.searchParams.set("status", "connected");
+    res.redirect(dl.toString());
+  } catch (err) {
+    console.error("[oauthMicrosoft] callback failed:", err);
+    if (deep_link) return redirectOAuthError(res, "microsoft", { code: "server_error", deep_link });
+    res.status(500).send(err?.message || String(err));
+  }
+}
 
+/**
+ * Exchanges a refresh token for a new access token.
+ * Microsoft rotates refresh tokens, so the response's `refresh_token` must be stored.
+ *
+ * Throws an Error with `code` set to the OAuth error (e.g. "invalid_grant").
+ */
+export async function microsoftRefreshAccessToken(refreshToken) {
   const body = new URLSearchParams({
     client_id: process.env.MS_OAUTH_CLIENT_ID,
     client_secret: process.env.MS_OAUTH_CLIENT_SECRET,
-    code: String(code),
-    redirect_uri: process.env.MS_OAUTH_REDIRECT_URI,
-    grant_type: "authorization_code",
+    refresh_token: String(refreshToken),
+    grant_type: "refresh_token",
     scope: process.env.MS_SCOPES || "",
   });
 
@@ -50,19 +134,25 @@ export async function microsoftCallback(req, res) {
     headers: { "Content-Type": "application/x-www-form-urlencoded" },
     body,
   });
-  const j = await r.json();
-  if (!r.ok) return res.status(400).send(`Token exchange failed: ${j?.error_description || j?.error || r.statusText}`);
-
-  setProviderTokens(uid, "microsoft", {
-    access_token: j.access_token,
-    refresh_token: j.refresh_token,
-    expires_in: j.expires_in,
-    scope: j.scope,
-    token_type: j.token_type,
-  });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    const err = new Error(`Microsoft token refresh failed: ${j?.error_description || j?.error || r.statusText}`);
+    err.code = j?.error || "refresh_failed";
+    throw err;
+  }
 
-  const dl = new URL(String(deep_link));
-  dl.searchParams.set("provider", "microsoft");
-  dl.searchParams.set("status", "connected");
-  res.redirect(dl.toString());
+  return j;
+}
+
+/**
+ * Microsoft identity platform has no endpoint to revoke a single app's refresh token.
+ * The only Graph option (POST /me/revokeSignInSessions) signs the user out of every
+ * app and device, which is far broader than "disconnect Outlook from Mindenu", so we
+ * do not call it. Dropping the stored tokens is the disconnect; the user can remove the
+ * app's consent at https://myapps.microsoft.com.
+ *
+ * Returns false to signal that nothing was revoked at the provider.
+ */
+export async function microsoftRevokeToken(_token) {
+  return false;
 }
@@ -0,0 +1,208 @@
+import crypto from "node:crypto";
+
+/**
+ * Tamper-proof OAuth start/callback state.
+ *
+ * Flow:
+ *   1) App -> POST /v1/oauth/:provider/ticket (Firebase ID token) { deep_link }
+ *      => short-lived, single-use, HMAC-signed start ticket bound to the caller's uid
+ *   2) App opens GET /v1/oauth/:provider/start?ticket=...
+ *      => server keeps { uid, deep_link, PKCE verifier } under a random nonce and sends the
+ *         provider a signed `state` that only references that nonce
+ *   3) Provider -> GET /v1/oauth/:provider/callback?code&state
+ *      => signature, expiry and provider are checked, the nonce is consumed (single-use)
+ *
+ * Env:
+ *   OAUTH_STATE_SECRET         HMAC key (required)
+ *   OAUTH_DEEP_LINK_ALLOWLIST  comma-separated allowed deep-link prefixes, e.g. "mindenu://oauth"
+ *   PUBLIC_BASE_URL            optional, used to build absolute start URLs behind proxies
+ *
+ * Pending states and used ticket ids are kept in memory (per Node process), so the
+ * start and callback requests must reach the same instance.
+ */
+
+const TICKET_TTL_MS = 2 * 60_000;  // app must open the start URL within 2 minutes
+const STATE_TTL_MS = 10 * 60_000;  // user must finish consent within 10 minutes
+
+const pendingStates = new Map(); // nonce -> { uid, provider, deep_link, codeVerifier, exp }
+const usedTickets = new Map();   // jti -> exp
+
+function stateError(code, message, deep_link = null) {
+  const err = new Error(message);
+  err.code = code;
+  err.deep_link = deep_link; // only set when it came from a verified signature
+  return err;
+}
+
+function secret() {
+  const s = process.env.OAUTH_STATE_SECRET;
+  if (!s) throw new Error("Missing OAUTH_STATE_SECRET");
+  return s;
+}
+
+function hmac(data) {
+  return crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+}
+
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+  return `${body}.${hmac(body)}`;
+}
+
+function verify(token, kind) {
+  const [body, sig] = String(token ?? "").split(".");
+  if (!body || !sig) throw stateError("invalid_state", `Malformed ${kind}`);
+
+  const expected = Buffer.from(hmac(body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw stateError("invalid_state", `Invalid ${kind} signature`);
+  }
+
+  const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  if (payload?.t !== kind) throw stateError("invalid_state", `Not a ${kind}`);
+  return payload;
+}
+
+function sweep(now = Date.now()) {
+  for (const [k, v] of pendingStates) if (v.exp <= now) pendingStates.delete(k);
+  for (const [k, exp] of usedTickets) if (exp <= now) usedTickets.delete(k);
+}
+
+// --------------------
+// Deep-link allowlist
+// --------------------
+function allowedDeepLinks() {
+  return String(process.env.OAUTH_DEEP_LINK_ALLOWLIST || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function isAllowedDeepLink(deep_link) {
+  let url;
+  try {
+    url = new URL(String(deep_link));
+  } catch {
+    return false;
+  }
+
+  return allowedDeepLinks().some((entry) => {
+    let allowed;
+    try {
+      allowed = new URL(entry);
+    } catch {
+      return false;
+    }
+    return (
+      url.protocol === allowed.protocol &&
+      url.host === allowed.host &&
+      url.pathname.startsWith(allowed.pathname)
+    );
+  });
+}
+
+/**
+ * Redirects back to the app with status=error. Falls back to the first allowlisted
+ * deep link when the request's own deep link cannot be trusted (forged state).
+ */
+export function redirectOAuthError(res, provider, err) {
+  const code = err?.code || "oauth_failed";
+  const target = err?.deep_link || allowedDeepLinks()[0];
+  if (!target) return res.status(400).send(`OAuth failed: ${code}`);
+
+  const dl = new URL(target);
+  dl.searchParams.set("provider", provider);
+  dl.searchParams.set("status", "error");
+  dl.searchParams.set("error", code);
+  return res.redirect(dl.toString());
+}
+
+// --------------------
+// Start tickets
+// --------------------
+export function createStartTicket({ uid, provider, deep_link }) {
+  if (!isAllowedDeepLink(deep_link)) throw stateError("invalid_deep_link", "deep_link is not allowlisted");
+  return sign({
+    t: "ticket",
+    jti: crypto.randomBytes(12).toString("base64url"),
+    uid,
+    p: provider,
+    dl: String(deep_link),
+    exp: Date.now() + TICKET_TTL_MS,
+  });
+}
+
+export function consumeStartTicket(ticket, provider) {
+  sweep();
+  const payload = verify(ticket, "ticket");
+  if (payload.p !== provider) throw stateError("invalid_state", "Ticket was issued for another provider");
+  if (payload.exp <= Date.now()) throw stateError("ticket_expired", "Start ticket expired", payload.dl);
+  if (usedTickets.has(payload.jti)) throw stateError("ticket_replayed", "Start ticket already used", payload.dl);
+
+  usedTickets.set(payload.jti, payload.exp);
+  return { uid: payload.uid, deep_link: payload.dl };
+}
+
+/**
+ * POST /v1/oauth/:provider/ticket (requireAuth)
+ * Body: { deep_link }
+ * Returns: { ok, ticket, url }  (open `url` in the browser / ASWebAuthenticationSession)
+ */
+export function oauthStartTicket(req, res) {
+  // Provider id is validated against the registry by the route (server.js)
+  const provider = String(req.params.provider || "");
+
+  const deep_link = req.body?.deep_link;
+  if (!deep_link) return res.status(400).json({ ok: false, error: "bad_request", details: "Missing deep_link" });
+
+  try {
+    const ticket = createStartTicket({ uid: req.user.uid, provider, deep_link });
+    const base = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    const url = new URL(`/v1/oauth/${provider}/start`, base);
+    url.searchParams.set("ticket", ticket);
+    return res.json({ ok: true, ticket, url: url.toString() });
+  } catch (err) {
+    if (err?.code === "invalid_deep_link") {
+      return res.status(400).json({ ok: false, error: err.code, details: err.message });
+    }
+    return res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err) });
+  }
+}
+
+// --------------------
+// State + PKCE
+// --------------------
+export function createOAuthState({ uid, provider, deep_link }) {
+  sweep();
+  const nonce = crypto.randomBytes(16).toString("base64url");
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+  const exp = Date.now() + STATE_TTL_MS;
+
+  pendingStates.set(nonce, { uid, provider, deep_link, codeVerifier, exp });
+
+  return {
+    state: sign({ t: "state", n: nonce, p: provider, dl: deep_link, exp }),
+    codeChallenge,
+  };
+}
+
+/**
+ * Verifies and consumes callback state. Returns { uid, deep_link, codeVerifier }.
+ * Throws an Error with `code` ("invalid_state" | "state_expired" | "state_replayed").
+ */
+export function consumeOAuthState(state, provider) {
+  const payload = verify(state, "state");
+  if (payload.p !== provider) throw stateError("invalid_state", "State was issued for another provider");
+  if (payload.exp <= Date.now()) {
+    pendingStates.delete(payload.n);
+    throw stateError("state_expired", "OAuth state expired", payload.dl);
+  }
+
+  const pending = pendingStates.get(payload.n);
+  if (!pending) throw stateError("state_replayed", "OAuth state already used", payload.dl);
+  pendingStates.delete(payload.n);
+
+  return { uid: pending.uid, deep_link: pending.deep_link, codeVerifier: pending.codeVerifier };
+}
@@ -0,0 +1,164 @@
+import crypto from "node:crypto";
+import { createStore, createKeyedLock } from "./kvStore.js";
+
+/**
+ * Outbox: confirmed mail waiting to be sent (async), either for the user's undo window or
+ * until a scheduled time. Delivered by outboxWorker.js.
+ *
+ * Backend: OUTBOX_STORE_BACKEND, else STORAGE_BACKEND ("memory" default, or "file"
+ * -> DATA_DIR/outbox.json). See kvStore.js. Use "file" (or a durable backend) in production,
+ * otherwise queued mail is lost on restart.
+ *
+ * Job (key = id): { id, uid, kind: "undo"|"scheduled", type, provider, payload, context?, conversationId?, actionId?,
+ *                   sendAt, status, attempts, nextAttemptAt, createdAt, updatedAt, result?, lastError? }
+ *   status: "queued" -> "sending" -> "sent" | "failed"
+ *           "queued" -> "cancelled"
+ *   A failed attempt goes back to "queued" with a later nextAttemptAt until the worker gives up.
+ *
+ * Finished jobs are kept for a week so clients can show what happened.
+ */
+
+const BACKEND = process.env.OUTBOX_STORE_BACKEND || process.env.STORAGE_BACKEND || "memory";
+const store = createStore(BACKEND, "outbox.json");
+
+const KEEP_FINISHED_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Status changes are check-then-set (worker and cancel requests race); serialize per job
+const withLock = createKeyedLock();
+
+function outboxError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function newId() {
+  return `out_${crypto.randomBytes(12).toString("base64url")}`;
+}
+
+/**
+ * @param {{ kind, type, provider, payload, context?, conversationId?, actionId?, sendAt }} job
+ */
+export async function enqueueSend(uid, { kind, type, provider, payload, context, conversationId, actionId, sendAt }) {
+  const now = Date.now();
+  const job = {
+    id: newId(),
+    uid: String(uid),
+    kind,
+    type,
+    provider,
+    payload,
+    ...(context ? { context } : {}),
+    ...(conversationId ? { conversationId } : {}),
+    ...(actionId ? { actionId } : {}),
+    sendAt,
+    status: "queued",
+    attempts: 0,
+    nextAttemptAt: sendAt,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await store.set(job.id, job);
+  return job;
+}
+
+// Newest first; status null = all
+export async function listOutbox(uid, { status = null } = {}) {
+  return (await store.entries())
+    .map(([, job]) => job)
+    .filter((job) => job.uid === String(uid) && (status == null || job.status === status))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function getOutboxJob(uid, id) {
+  const job = await store.get(String(id));
+  return job && job.uid === String(uid) ? job : null;
+}
+
+// Applies fn to one job under its lock; fn returns the updated job or throws
+function update(id, fn) {
+  return withLock(id, async () => {
+    const job = await store.get(id);
+    if (!job) throw outboxError("not_found", "Outbox item not found");
+    const next = { ...fn(job), updatedAt: Date.now() };
+    await store.set(id, next);
+    return next;
+  });
+}
+
+// Undo: only while the job has not started sending
+export function cancelSend(uid, id) {
+  return update(String(id), (job) => {
+    if (job.uid !== String(uid)) throw outboxError("not_found", "Outbox item not found");
+    if (job.status !== "queued") throw outboxError("outbox_not_queued", `This email is already ${job.status}`);
+    return { ...job, status: "cancelled" };
+  });
+}
+
+/**
+ * Worker side: moves due jobs to "sending" (one claim per job) and returns them.
+ */
+export async function claimDueJobs(now = Date.now(), limit = 10) {
+  const due = (await store.entries())
+    .map(([, job]) => job)
+    .filter((job) => job.status === "queued" && job.nextAttemptAt <= now)
+    .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+    .slice(0, limit);
+
+  const claimed = [];
+  for (const { id } of due) {
+    try {
+      claimed.push(
+        await update(id, (job) => {
+          if (job.status !== "queued") throw outboxError("outbox_not_queued", "Already claimed");
+          return { ...job, status: "sending", attempts: job.attempts + 1 };
+        })
+      );
+    } catch {
+      // cancelled or claimed meanwhile
+    }
+  }
+  return claimed;
+}
+
+export function markSent(id, result) {
+  return update(id, (job) => ({ ...job, status: "sent", result, lastError: undefined }));
+}
+
+// Failed attempt: retry at nextAttemptAt, or give up when it is null
+export function markAttemptFailed(id, err, nextAttemptAt = null) {
+  return update(id, (job) => ({
+    ...job,
+    status: nextAttemptAt == null ? "failed" : "queued",
+    ...(nextAttemptAt == null ? {} : { nextAttemptAt }),
+    lastError: { code: err?.code || null, message: err?.message || String(err) },
+  }));
+}
+
+/**
+ * Startup: jobs left "sending" by a crashed process may or may not have gone out; they are
+ * failed (not retried) so nothing is sent twice. Returns them.
+ */
+export async function recoverOutbox() {
+  const interrupted = [];
+  for (const [id, job] of await store.entries()) {
+    if (job.status !== "sending") continue;
+    interrupted.push(
+      await update(id, (j) => ({
+        ...j,
+        status: "failed",
+        lastError: { code: "interrupted", message: "The server restarted while sending; it may not have been sent" },
+      }))
+    );
+  }
+  return interrupted;
+}
+
+// Drops finished jobs older than a week
+export async function pruneOutbox(now = Date.now()) {
+  for (const [id, job] of await store.entries()) {
+    if (["sent", "failed", "cancelled"].includes(job.status) && now - job.updatedAt > KEEP_FINISHED_MS) {
+      await withLock(id, () => store.delete(id));
+    }
+  }
+}
@@ -0,0 +1,114 @@
+import { executeAction } from "./actions.js";
+import { recordActivity } from "./activityLog.js";
+import { claimDueJobs, markSent, markAttemptFailed, recoverOutbox, pruneOutbox } from "./outboxStore.js";
+
+/**
+ * Background delivery of queued mail (undo window elapsed / scheduled time reached).
+ *
+ * - Polls the outbox every intervalMs; each due job is claimed once, then sent with
+ *   executeAction (tokens are refreshed by tokenManager as for any other send).
+ * - Transient failures (network, 429, 5xx) are retried with backoff; missing/revoked
+ *   connections, invalid payloads and other 4xx fail at once.
+ * - On start, jobs a previous process left mid-send are failed (see recoverOutbox) rather than
+ *   risking a duplicate.
+ *
+ * onFailed(job) is called for every job that ends up "failed" (e.g. to tell the user).
+ * Single instance only, like the file store backend.
+ */
+
+const RETRY_DELAYS_MS = [60_000, 5 * 60_000, 15 * 60_000, 60 * 60_000]; // then give up
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function isPermanent(err) {
+  if (["invalid_payload", "not_connected", "reauth_required"].includes(err?.code)) return true;
+  return err?.status >= 400 && err?.status < 500 && err?.status !== 429;
+}
+
+function activityFields(job) {
+  return { type: job.type, provider: job.provider, source: "outbox", actionId: job.actionId, outboxId: job.id };
+}
+
+async function deliver(job, onFailed) {
+  let result;
+  try {
+    result = await executeAction(job.uid, job);
+  } catch (err) {
+    const delay = isPermanent(err) ? null : RETRY_DELAYS_MS[job.attempts - 1];
+    const next = await markAttemptFailed(job.id, err, delay == null ? null : Date.now() + delay);
+    await recordActivity(job.uid, {
+      ...activityFields(job),
+      event: "failed",
+      error: err,
+      ...(delay == null ? {} : { reason: "will_retry" }),
+    });
+    console.warn(
+      `[outbox] ${job.type} failed id=${job.id} attempt=${job.attempts}${err?.code ? ` (${err.code})` : ""}: ` +
+        `${err?.message || String(err)}${delay == null ? " — giving up" : ` — retry in ${delay / 1000}s`}`
+    );
+    if (next.status === "failed") await onFailed(next);
+    return;
+  }
+
+  // Sent: from here on nothing may re-queue the job. If the store write fails it stays "sending",
+  // which the worker never claims again.
+  try {
+    await markSent(job.id, result);
+  } catch (err) {
+    console.error(`[outbox] ${job.type} sent but not marked id=${job.id} uid=${job.uid}:`, err);
+  }
+  await recordActivity(job.uid, { ...activityFields(job), event: "executed", result });
+  console.log(`[outbox] ${job.type} sent id=${job.id} provider=${job.provider} uid=${job.uid} attempt=${job.attempts}`);
+}
+
+/**
+ * @param {{ intervalMs?: number, onFailed?: (job) => Promise<void>|void }} opts
+ * @returns stop()
+ */
+export function startOutboxWorker({ intervalMs = 2000, onFailed = () => {} } = {}) {
+  const notify = async (job) => {
+    try {
+      await onFailed(job);
+    } catch (err) {
+      console.error("OUTBOX NOTIFY ERROR:", err);
+    }
+  };
+
+  let running = false;
+  let lastPrune = 0;
+
+  const tick = async () => {
+    if (running) return; // previous tick still sending
+    running = true;
+    try {
+      for (const job of await claimDueJobs()) {
+        // One job's store failure must not strand the rest of the batch in "sending"
+        try {
+          await deliver(job, notify);
+        } catch (err) {
+          console.error(`OUTBOX ERROR (job ${job.id}):`, err);
+        }
+      }
+      if (Date.now() - lastPrune > PRUNE_INTERVAL_MS) {
+        lastPrune = Date.now();
+        await pruneOutbox();
+      }
+    } catch (err) {
+      console.error("OUTBOX ERROR:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const ready = recoverOutbox()
+    .then(async (interrupted) => {
+      for (const job of interrupted) {
+        await recordActivity(job.uid, { ...activityFields(job), event: "failed", error: job.lastError });
+        await notify(job);
+      }
+    })
+    .catch((err) => console.error("OUTBOX RECOVERY ERROR:", err));
+
+  const timer = setInterval(() => ready.then(tick), intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
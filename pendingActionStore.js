@@ -0,0 +1,174 @@
+import crypto from "node:crypto";
+import { createStore, createKeyedLock } from "./kvStore.js";
+
+/**
+ * Proposed side-effecting actions awaiting the user's confirmation (async).
+ *
+ * Backend: PENDING_STORE_BACKEND, else STORAGE_BACKEND ("memory" default, or "file"
+ * -> DATA_DIR/pendingActions.json). See kvStore.js.
+ *
+ * Action: { id, type, provider, payload, context?, sendAt?, status, createdAt, updatedAt, expiresAt,
+ *           result?, lastError? }
+ *   sendAt: scheduled send time (epoch ms) for mail; confirming queues it in the outbox
+ *   status: "pending" -> "executing" -> "confirmed"
+ *           "pending" -> "cancelled" | "expired"
+ *           "executing" -> "failed" (claim older than EXECUTING_LEASE_MS: the process died mid-execution)
+ *   A failed execution goes back to "pending" (with lastError) so it can be retried until it expires.
+ *   An interrupted one may or may not have happened, so it is failed rather than offered again.
+ *
+ * Stored per uid; finished actions are kept for a day so clients can see what happened. Beyond
+ * MAX_ACTIONS_PER_USER the oldest finished ones are dropped first; pending and executing ones never are.
+ */
+
+const BACKEND = process.env.PENDING_STORE_BACKEND || process.env.STORAGE_BACKEND || "memory";
+const store = createStore(BACKEND, "pendingActions.json");
+
+const DEFAULT_TTL_MS = 10 * 60_000;
+const KEEP_FINISHED_MS = 24 * 60 * 60 * 1000;
+const MAX_ACTIONS_PER_USER = 50;
+const EXECUTING_LEASE_MS = 2 * 60_000; // longer than any provider call or queueing takes
+const FINISHED = new Set(["confirmed", "cancelled", "expired", "failed"]);
+
+// Claims and status changes are check-then-set on the user's list; serialize per user
+const withLock = createKeyedLock();
+
+function actionError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function newId() {
+  return `act_${crypto.randomBytes(12).toString("base64url")}`;
+}
+
+function settleStale(a, now) {
+  if (a.status === "pending" && now > a.expiresAt) return { ...a, status: "expired", updatedAt: now };
+  if (a.status === "executing" && now - a.updatedAt > EXECUTING_LEASE_MS) {
+    return {
+      ...a,
+      status: "failed",
+      updatedAt: now,
+      lastError: { code: "interrupted", message: "The server stopped while running this action; it may not have happened" },
+    };
+  }
+  return a;
+}
+
+// Lazily expire stale pending actions, fail abandoned claims and drop old finished ones
+function tidy(actions, now) {
+  const kept = actions
+    .map((a) => settleStale(a, now))
+    .filter((a) => !FINISHED.has(a.status) || now - a.updatedAt < KEEP_FINISHED_MS);
+
+  // Over the cap: oldest finished first
+  let excess = kept.length - MAX_ACTIONS_PER_USER;
+  return kept.filter((a) => !(excess > 0 && FINISHED.has(a.status) && excess-- > 0));
+}
+
+async function load(uid) {
+  return tidy((await store.get(String(uid)))?.actions || [], Date.now());
+}
+
+function save(uid, actions) {
+  return store.set(String(uid), { actions });
+}
+
+// Reads without the lock; tidy() only changes what is returned, the stored list is fixed up on the next write
+export async function listPendingActions(uid, { status = "pending" } = {}) {
+  const actions = await load(uid);
+  return actions.filter((a) => status == null || a.status === status).reverse(); // newest first
+}
+
+export async function getPendingAction(uid, id) {
+  return (await load(uid)).find((a) => a.id === id) || null;
+}
+
+/**
+ * @param {{ type, provider, payload, context?, sendAt?, ttlMs? }} action
+ */
+export function createPendingAction(uid, { type, provider, payload, context, sendAt, ttlMs = DEFAULT_TTL_MS }) {
+  return withLock(String(uid), async () => {
+    const now = Date.now();
+    const action = {
+      id: newId(),
+      type,
+      provider,
+      payload,
+      ...(context ? { context } : {}),
+      ...(sendAt != null ? { sendAt } : {}),
+      status: "pending",
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: now + ttlMs,
+    };
+    await save(uid, [...(await load(uid)), action]);
+    return action;
+  });
+}
+
+// Applies fn to one action under the lock; fn returns the updated action or throws
+function update(uid, id, fn) {
+  return withLock(String(uid), async () => {
+    const actions = await load(uid);
+    const i = actions.findIndex((a) => a.id === id);
+    if (i < 0) throw actionError("not_found", "Pending action not found");
+
+    const next = { ...fn(actions[i]), updatedAt: Date.now() };
+    actions[i] = next;
+    await save(uid, actions);
+    return next;
+  });
+}
+
+function requirePending(a) {
+  if (a.status === "expired") throw actionError("action_expired", "This action has expired; ask for it again");
+  if (a.status !== "pending") throw actionError("action_not_pending", `This action is already ${a.status}`);
+}
+
+/**
+ * Moves a pending action to "executing" so it can only be confirmed once.
+ * Follow with completePendingAction() or releasePendingAction().
+ */
+export function claimPendingAction(uid, id) {
+  return update(uid, id, (a) => {
+    requirePending(a);
+    return { ...a, status: "executing" };
+  });
+}
+
+export function completePendingAction(uid, id, result) {
+  return update(uid, id, (a) => ({ ...a, status: "confirmed", result, lastError: undefined }));
+}
+
+// Execution failed: back to pending so the user can retry
+export function releasePendingAction(uid, id, err) {
+  return update(uid, id, (a) => ({
+    ...a,
+    status: "pending",
+    lastError: { code: err?.code || null, message: err?.message || String(err) },
+  }));
+}
+
+export function cancelPendingAction(uid, id) {
+  return update(uid, id, (a) => {
+    requirePending(a);
+    return { ...a, status: "cancelled" };
+  });
+}
+
+// Cancels every pending action matching the filter (e.g. after disconnecting a provider); returns them
+export function cancelPendingActions(uid, filter = () => true) {
+  return withLock(String(uid), async () => {
+    const now = Date.now();
+    const cancelled = [];
+    const actions = (await load(uid)).map((a) => {
+      if (a.status !== "pending" || !filter(a)) return a;
+      const next = { ...a, status: "cancelled", updatedAt: now };
+      cancelled.push(next);
+      return next;
+    });
+    if (cancelled.length > 0) await save(uid, actions);
+    return cancelled;
+  });
+}
@@ -0,0 +1,69 @@
+import { createStore } from "./kvStore.js";
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from "./timeZones.js";
+
+/**
+ * Per-user preferences (async).
+ *
+ * Backend: PROFILE_STORE_BACKEND, else STORAGE_BACKEND ("memory" default, or "file"
+ * -> DATA_DIR/profiles.json). See kvStore.js.
+ *
+ * Profile: { timeZone, undoSendSeconds, updatedAt }
+ *   timeZone        — IANA name ("Europe/Berlin") used for chat prompts, proposed event times and
+ *                     times returned to the client when a request doesn't carry its own.
+ *   undoSendSeconds — confirmed mail waits this long in the outbox and can be undone (0 = send at once)
+ */
+
+const BACKEND = process.env.PROFILE_STORE_BACKEND || process.env.STORAGE_BACKEND || "memory";
+const store = createStore(BACKEND, "profiles.json");
+
+export const MAX_UNDO_SEND_SECONDS = 30;
+
+function profileError(message) {
+  const err = new Error(message);
+  err.code = "invalid_payload";
+  return err;
+}
+
+function publicProfile(p) {
+  return { timeZone: p?.timeZone ?? null, undoSendSeconds: p?.undoSendSeconds ?? 0, updatedAt: p?.updatedAt ?? null };
+}
+
+export async function getProfile(uid) {
+  return publicProfile(await store.get(String(uid)));
+}
+
+export async function updateProfile(uid, { timeZone, undoSendSeconds } = {}) {
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    throw profileError(`'timeZone' must be an IANA time zone name (e.g. Europe/Berlin): ${timeZone}`);
+  }
+  if (
+    undoSendSeconds !== undefined &&
+    !(Number.isInteger(undoSendSeconds) && undoSendSeconds >= 0 && undoSendSeconds <= MAX_UNDO_SEND_SECONDS)
+  ) {
+    throw profileError(`'undoSendSeconds' must be an integer between 0 and ${MAX_UNDO_SEND_SECONDS}`);
+  }
+
+  const current = (await store.get(String(uid))) || {};
+  const next = {
+    ...current,
+    ...(timeZone !== undefined ? { timeZone } : {}),
+    ...(undoSendSeconds !== undefined ? { undoSendSeconds } : {}),
+    updatedAt: Date.now(),
+  };
+  await store.set(String(uid), next);
+  return publicProfile(next);
+}
+
+/**
+ * Time zone for one request: the request's own `timeZone` when given (must be valid),
+ * else the profile's, else UTC.
+ */
+export async function resolveTimeZone(uid, requested) {
+  if (requested != null && requested !== "") {
+    if (!isValidTimeZone(requested)) {
+      throw profileError(`'timeZone' must be an IANA time zone name (e.g. Europe/Berlin): ${requested}`);
+    }
+    return requested;
+  }
+  return (await getProfile(uid)).timeZone || DEFAULT_TIME_ZONE;
+}
@@ -1,4 +1,6 @@
 import fetch from "node-fetch";
+import { parseMimeMessage, readableBody, htmlToText, stripQuotedReply, textToHtml, buildMimeMessage } from "./mime.js";
+import { toRRule, toGraphRecurrence } from "./recurrence.js";
 
 // --------------------
 // Helpers
@@ -9,6 +11,13 @@ function clampInt(v, fallback, min, max) {
   return Math.max(min, Math.min(max, n));
 }
 
+// Provider errors carry the HTTP status so callers (tokenManager) can react to 401s
+function apiError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
 async function fetchWithTimeout(url, options = {}, timeoutMs = 5000) {
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), timeoutMs);
@@ -33,22 +42,33 @@ function base64UrlEncode(bufferOrString) {
     .replace(/=+$/g, "");
 }
 
+// Explicit { startISO, endISO } wins over the relative { daysBack, daysAhead } window
+function calendarRange(opts) {
+  const daysAhead = clampInt(opts.daysAhead, 7, 1, 30);
+  const daysBack = clampInt(opts.daysBack, 0, 0, 30);
+
+  const startMs = Date.parse(opts.startISO ?? "");
+  const endMs = Date.parse(opts.endISO ?? "");
+
+  return {
+    start: new Date(Number.isNaN(startMs) ? Date.now() - daysBack * 24 * 60 * 60 * 1000 : startMs),
+    end: new Date(Number.isNaN(endMs) ? Date.now() + daysAhead * 24 * 60 * 60 * 1000 : endMs),
+  };
+}
+
 // --------------------
 // Google Calendar
-// opts: { daysAhead, daysBack, timeoutMs }
+// opts: { daysAhead, daysBack, startISO, endISO, maxResults, timeoutMs }
 // --------------------
 export async function googleFetchCalendarEvents(accessToken, opts = {}) {
-  const daysAhead = clampInt(opts.daysAhead, 7, 1, 30);
-  const daysBack = clampInt(opts.daysBack, 0, 0, 30);
   const timeoutMs = clampInt(opts.timeoutMs, 5000, 1000, 20000);
-
-  const startMs = Date.now() - daysBack * 24 * 60 * 60 * 1000;
-  const endMs = Date.now() + daysAhead * 24 * 60 * 60 * 1000;
+  const maxResults = clampInt(opts.maxResults, 25, 1, 100);
+  const { start, end } = calendarRange(opts);
 
   const url = new URL("https://www.googleapis.com/calendar/v3/calendars/primary/events");
-  url.searchParams.set("timeMin", new Date(startMs).toISOString());
-  url.searchParams.set("timeMax", new Date(endMs).toISOString());
-  url.searchParams.set("maxResults", "25");
+  url.searchParams.set("timeMin", start.toISOString());
+  url.searchParams.set("timeMax", end.toISOString());
+  url.searchParams.set("maxResults", String(maxResults));
   url.searchParams.set("singleEvents", "true");
   url.searchParams.set("orderBy", "startTime");
 
@@ -59,15 +79,56 @@ export async function googleFetchCalendarEvents(accessToken, opts = {}) {
   );
 
   const j = await r.json();
-  if (!r.ok) throw new Error(`Google calendar error: ${j?.error?.message || r.statusText}`);
+  if (!r.ok) throw apiError(`Google calendar error: ${j?.error?.message || r.statusText}`, r.status);
+
+  return (j.items || []).map(googleEventRecord);
+}
 
-  return (j.items || []).map((e) => ({
+function googleEventRecord(e) {
+  return {
     id: e.id,
     summary: e.summary,
     start: e.start?.dateTime || e.start?.date,
     end: e.end?.dateTime || e.end?.date,
     location: e.location || "",
-  }));
+    htmlLink: e.htmlLink || "",
+    description: e.description || "",
+    attendees: (e.attendees || []).map((a) => a.email).filter(Boolean),
+    transparency: e.transparency || "opaque",
+    recurringEventId: e.recurringEventId || null, // set on instances of a recurring event
+  };
+}
+
+// All-day: dates (end exclusive). Timed: zoned ISO plus the IANA zone, so recurring
+// instances and DST follow the user's zone rather than a fixed offset.
+function googleEventTime(value, allDay, timeZone) {
+  return allDay ? { date: value } : { dateTime: value, timeZone: timeZone || "UTC" };
+}
+
+// PATCH merges nested objects: clear the other kind of time so timed <-> all-day switches stick
+function googlePatchEventTime(value, allDay, timeZone) {
+  return allDay
+    ? { ...googleEventTime(value, true), dateTime: null, timeZone: null }
+    : { ...googleEventTime(value, false, timeZone), date: null };
+}
+
+function googleEventUrl(id) {
+  return new URL(`https://www.googleapis.com/calendar/v3/calendars/primary/events/${encodeURIComponent(id)}`);
+}
+
+export async function googleGetCalendarEvent(accessToken, id, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 5000, 1000, 20000);
+
+  const r = await fetchWithTimeout(
+    googleEventUrl(id),
+    { headers: { Authorization: `Bearer ${accessToken}` } },
+    timeoutMs
+  );
+
+  const j = await r.json();
+  if (!r.ok) throw apiError(`Google calendar error: ${j?.error?.message || r.statusText}`, r.status);
+
+  return googleEventRecord(j);
 }
 
 export async function googleCreateCalendarEvent(accessToken, payload, opts = {}) {
@@ -79,10 +140,14 @@ export async function googleCreateCalendarEvent(accessToken, payload, opts = {})
     summary: payload.title || "Untitled event",
     description: payload.description || "",
     location: payload.location || "",
-    start: { dateTime: payload.startISO },
-    end: { dateTime: payload.endISO },
+    start: googleEventTime(payload.startISO, payload.allDay, payload.timeZone),
+    end: googleEventTime(payload.endISO, payload.allDay, payload.timeZone),
   };
 
+  if (payload.recurrence) {
+    body.recurrence = [toRRule(payload.recurrence, { allDay: payload.allDay, timeZone: payload.timeZone })];
+  }
+
   if (Array.isArray(payload.attendees) && payload.attendees.length > 0) {
     body.attendees = payload.attendees.filter(Boolean).map((email) => ({ email }));
   }
@@ -101,21 +166,120 @@ export async function googleCreateCalendarEvent(accessToken, payload, opts = {})
   );
 
   const j = await r.json();
-  if (!r.ok) throw new Error(`Google create event error: ${j?.error?.message || r.statusText}`);
+  if (!r.ok) throw apiError(`Google create event error: ${j?.error?.message || r.statusText}`, r.status);
 
   return { id: j.id, htmlLink: j.htmlLink || "", status: j.status || "" };
 }
 
+// Busy intervals of other people's calendars (only those shared with / visible to the user).
+// Returns [{ email, busy: [{ start, end }], error }] in the order given.
+export async function googleFreeBusy(accessToken, emails, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 5000, 1000, 20000);
+  const { start, end } = calendarRange(opts);
+
+  const r = await fetchWithTimeout(
+    "https://www.googleapis.com/calendar/v3/freeBusy",
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        timeMin: start.toISOString(),
+        timeMax: end.toISOString(),
+        items: emails.map((id) => ({ id })),
+      }),
+    },
+    timeoutMs
+  );
+
+  const j = await r.json();
+  if (!r.ok) throw apiError(`Google free/busy error: ${j?.error?.message || r.statusText}`, r.status);
+
+  return emails.map((email) => {
+    const c = j.calendars?.[email];
+    return {
+      email,
+      busy: (c?.busy || []).map((b) => ({ start: b.start, end: b.end })),
+      error: c ? c.errors?.[0]?.reason || null : "notFound",
+    };
+  });
+}
+
+// Partial update; only the fields present in `patch` change. sendUpdates decides whether
+// attendees get an updated invitation.
+export async function googleUpdateCalendarEvent(accessToken, id, patch, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 8000, 1000, 20000);
+
+  const url = googleEventUrl(id);
+  url.searchParams.set("sendUpdates", patch.notifyAttendees === false ? "none" : "all");
+
+  const body = {};
+  if (patch.title != null) body.summary = patch.title;
+  if (patch.description != null) body.description = patch.description;
+  if (patch.location != null) body.location = patch.location;
+  if (patch.startISO) {
+    body.start = googlePatchEventTime(patch.startISO, patch.allDay, patch.timeZone);
+    body.end = googlePatchEventTime(patch.endISO, patch.allDay, patch.timeZone);
+  }
+  if (patch.recurrence) {
+    body.recurrence = [toRRule(patch.recurrence, { allDay: patch.allDay, timeZone: patch.timeZone })];
+  }
+
+  const r = await fetchWithTimeout(
+    url,
+    {
+      method: "PATCH",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    },
+    timeoutMs
+  );
+
+  const j = await r.json();
+  if (!r.ok) throw apiError(`Google update event error: ${j?.error?.message || r.statusText}`, r.status);
+
+  return { id: j.id, htmlLink: j.htmlLink || "", status: j.status || "" };
+}
+
+export async function googleDeleteCalendarEvent(accessToken, id, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 8000, 1000, 20000);
+
+  const url = googleEventUrl(id);
+  url.searchParams.set("sendUpdates", opts.notifyAttendees === false ? "none" : "all");
+
+  const r = await fetchWithTimeout(
+    url,
+    { method: "DELETE", headers: { Authorization: `Bearer ${accessToken}` } },
+    timeoutMs
+  );
+
+  if (!r.ok) {
+    const j = await r.json().catch(() => null);
+    // 410 Gone: already deleted
+    throw apiError(`Google delete event error: ${j?.error?.message || r.statusText}`, r.status === 410 ? 404 : r.status);
+  }
+}
+
 // --------------------
 // Google Gmail
 // opts: { maxIds, timeoutMs }
 // --------------------
 export async function googleFetchGmailUnread(accessToken, opts = {}) {
+  return googleSearchGmail(accessToken, "is:unread newer_than:7d", opts);
+}
+
+// query uses Gmail search syntax (from:, subject:, newer_than:, ...)
+export async function googleSearchGmail(accessToken, query, opts = {}) {
   const maxIds = clampInt(opts.maxIds, 3, 1, 10);
   const timeoutMs = clampInt(opts.timeoutMs, 5000, 1000, 20000);
 
   const listUrl = new URL("https://gmail.googleapis.com/gmail/v1/users/me/messages");
-  listUrl.searchParams.set("q", "is:unread newer_than:7d");
+  listUrl.searchParams.set("q", String(query ?? ""));
   listUrl.searchParams.set("maxResults", String(maxIds));
 
   const list = await fetchWithTimeout(
@@ -125,7 +289,7 @@ export async function googleFetchGmailUnread(accessToken, opts = {}) {
   );
 
   const listJson = await list.json();
-  if (!list.ok) throw new Error(`Gmail list error: ${listJson?.error?.message || list.statusText}`);
+  if (!list.ok) throw apiError(`Gmail list error: ${listJson?.error?.message || list.statusText}`, list.status);
 
   const ids = (listJson.messages || []).map((m) => m.id);
   if (ids.length === 0) return [];
@@ -149,6 +313,7 @@ export async function googleFetchGmailUnread(accessToken, opts = {}) {
 
     return {
       id,
+      threadId: j.threadId,
       subject: headers["Subject"] || "(no subject)",
       from: headers["From"] || "",
       date: headers["Date"] || "",
@@ -160,25 +325,74 @@ export async function googleFetchGmailUnread(accessToken, opts = {}) {
   return results.filter(Boolean);
 }
 
+// format=raw is the untouched RFC 822 source, so transfer encodings and charsets are decoded
+// here (mime.js) rather than trusting Gmail's per-part decoding
+export async function googleGetGmailMessage(accessToken, id, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 8000, 1000, 20000);
+
+  const url = `https://gmail.googleapis.com/gmail/v1/users/me/messages/${encodeURIComponent(id)}?format=raw`;
+  const r = await fetchWithTimeout(
+    url,
+    { headers: { Authorization: `Bearer ${accessToken}` } },
+    timeoutMs
+  );
+
+  const j = await r.json();
+  if (!r.ok) throw apiError(`Gmail get error: ${j?.error?.message || r.statusText}`, r.status);
+
+  const msg = parseMimeMessage(Buffer.from(String(j.raw || ""), "base64url"));
+
+  return {
+    id: j.id,
+    threadId: j.threadId,
+    subject: msg.headers["subject"] || "(no subject)",
+    from: msg.headers["from"] || "",
+    replyTo: msg.headers["reply-to"] || "",
+    to: msg.headers["to"] || "",
+    cc: msg.headers["cc"] || "",
+    date: msg.headers["date"] || "",
+    // Threading headers for replies
+    messageId: msg.headers["message-id"] || "",
+    references: msg.headers["references"] || "",
+    bodyText: readableBody(msg, { keepQuoted: opts.keepQuoted }) || j.snippet || "",
+  };
+}
+
+export async function googleGetProfile(accessToken, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 5000, 1000, 20000);
+
+  const r = await fetchWithTimeout(
+    "https://gmail.googleapis.com/gmail/v1/users/me/profile",
+    { headers: { Authorization: `Bearer ${accessToken}` } },
+    timeoutMs
+  );
+
+  const j = await r.json();
+  if (!r.ok) throw apiError(`Gmail profile error: ${j?.error?.message || r.statusText}`, r.status);
+
+  return { emailAddress: j.emailAddress || "" };
+}
+
 export async function googleSendEmail(accessToken, payload, opts = {}) {
   const timeoutMs = clampInt(opts.timeoutMs, 8000, 1000, 20000);
 
-  if (!payload?.to) throw new Error("Missing 'to'");
+  if (!payload?.to?.length) throw new Error("Missing 'to'");
   if (!payload?.subject) throw new Error("Missing 'subject'");
   if (!payload?.bodyText) throw new Error("Missing 'bodyText'");
 
-  const lines = [];
-  lines.push(`To: ${payload.to}`);
-  if (payload.cc) lines.push(`Cc: ${payload.cc}`);
-  if (payload.bcc) lines.push(`Bcc: ${payload.bcc}`);
-  lines.push(`Subject: ${payload.subject}`);
-  lines.push("MIME-Version: 1.0");
-  lines.push('Content-Type: text/plain; charset="UTF-8"');
-  lines.push("Content-Transfer-Encoding: 7bit");
-  lines.push("");
-  lines.push(payload.bodyText);
-
-  const raw = base64UrlEncode(lines.join("\r\n"));
+  const raw = base64UrlEncode(
+    buildMimeMessage({
+      to: payload.to,
+      cc: payload.cc,
+      bcc: payload.bcc,
+      subject: payload.subject,
+      inReplyTo: payload.inReplyTo,
+      references: payload.references,
+      text: payload.bodyText,
+      html: payload.bodyHtml,
+      attachments: payload.attachments,
+    })
+  );
 
   const url = "https://gmail.googleapis.com/gmail/v1/users/me/messages/send";
 
@@ -190,50 +404,99 @@ export async function googleSendEmail(accessToken, payload, opts = {}) {
         Authorization: `Bearer ${accessToken}`,
         "Content-Type": "application/json",
       },
-      body: JSON.stringify({ raw }),
+      // threadId keeps replies/forwards in the original conversation
+      body: JSON.stringify(payload.threadId ? { raw, threadId: payload.threadId } : { raw }),
     },
     timeoutMs
   );
 
   const j = await r.json();
-  if (!r.ok) throw new Error(`Gmail send error: ${j?.error?.message || r.statusText}`);
+  if (!r.ok) throw apiError(`Gmail send error: ${j?.error?.message || r.statusText}`, r.status);
 
   return { id: j.id, threadId: j.threadId };
 }
 
 // --------------------
 // Microsoft Graph Calendar
-// opts: { daysAhead, daysBack, timeoutMs }
+// opts: { daysAhead, daysBack, startISO, endISO, maxResults, timeoutMs }
 // --------------------
 export async function msFetchCalendarEvents(accessToken, opts = {}) {
-  const daysAhead = clampInt(opts.daysAhead, 7, 1, 30);
-  const daysBack = clampInt(opts.daysBack, 0, 0, 30);
   const timeoutMs = clampInt(opts.timeoutMs, 5000, 1000, 20000);
-
-  const startMs = Date.now() - daysBack * 24 * 60 * 60 * 1000;
-  const endMs = Date.now() + daysAhead * 24 * 60 * 60 * 1000;
+  const maxResults = clampInt(opts.maxResults, 25, 1, 100);
+  const { start, end } = calendarRange(opts);
 
   const url = new URL("https://graph.microsoft.com/v1.0/me/calendarview");
-  url.searchParams.set("startDateTime", new Date(startMs).toISOString());
-  url.searchParams.set("endDateTime", new Date(endMs).toISOString());
-  url.searchParams.set("$top", "25");
+  url.searchParams.set("startDateTime", start.toISOString());
+  url.searchParams.set("endDateTime", end.toISOString());
+  url.searchParams.set("$top", String(maxResults));
+  url.searchParams.set("$orderby", "start/dateTime");
+
+  // Times come back as offset-less wall clock in this zone (all-day events: local midnights)
+  const timeZone = opts.timeZone || "UTC";
 
   const r = await fetchWithTimeout(
     url,
-    { headers: { Authorization: `Bearer ${accessToken}` } },
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Prefer: `outlook.timezone="${timeZone}"`,
+      },
+    },
     timeoutMs
   );
 
   const j = await r.json();
-  if (!r.ok) throw new Error(`MS calendar error: ${j?.error?.message || r.statusText}`);
+  if (!r.ok) throw apiError(`MS calendar error: ${j?.error?.message || r.statusText}`, r.status);
 
-  return (j.value || []).map((e) => ({
+  return (j.value || []).map((e) => msEventRecord(e, timeZone));
+}
+
+function msEventRecord(e, timeZone) {
+  return {
     id: e.id,
     subject: e.subject,
     start: e.start?.dateTime,
     end: e.end?.dateTime,
+    timeZone,
+    isAllDay: Boolean(e.isAllDay),
     location: e.location?.displayName || "",
-  }));
+    webLink: e.webLink || "",
+    description: e.bodyPreview || "",
+    attendees: (e.attendees || []).map((a) => a.emailAddress?.address).filter(Boolean),
+    showAs: e.showAs || "busy",
+    seriesMasterId: e.seriesMasterId || null, // set on occurrences of a recurring event
+  };
+}
+
+function msEventUrl(id, action = "") {
+  return `https://graph.microsoft.com/v1.0/me/events/${encodeURIComponent(id)}${action ? `/${action}` : ""}`;
+}
+
+export async function msGetCalendarEvent(accessToken, id, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 5000, 1000, 20000);
+  const timeZone = opts.timeZone || "UTC";
+
+  const r = await fetchWithTimeout(
+    msEventUrl(id),
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Prefer: `outlook.timezone="${timeZone}"`,
+      },
+    },
+    timeoutMs
+  );
+
+  const j = await r.json();
+  if (!r.ok) throw apiError(`MS calendar error: ${j?.error?.message || r.statusText}`, r.status);
+
+  return msEventRecord(j, timeZone);
+}
+
+// "2026-01-05T09:00:00+01:00" -> "2026-01-05T09:00:00"; all-day dates -> local midnight
+function graphWallClock(value, allDay) {
+  const s = String(value ?? "");
+  return allDay ? `${s.slice(0, 10)}T00:00:00` : s.slice(0, 19);
 }
 
 export async function msCreateCalendarEvent(accessToken, payload, opts = {}) {
@@ -243,11 +506,19 @@ export async function msCreateCalendarEvent(accessToken, payload, opts = {}) {
   const body = {
     subject: payload.title || "Untitled event",
     body: { contentType: "Text", content: payload.description || "" },
-    start: { dateTime: payload.startISO, timeZone: "UTC" },
-    end: { dateTime: payload.endISO, timeZone: "UTC" },
+    // Graph wants wall clock without an offset plus the zone it is in
+    start: { dateTime: graphWallClock(payload.startISO, payload.allDay), timeZone: payload.timeZone || "UTC" },
+    end: { dateTime: graphWallClock(payload.endISO, payload.allDay), timeZone: payload.timeZone || "UTC" },
+    isAllDay: Boolean(payload.allDay),
   };
 
   if (payload.location) body.location = { displayName: payload.location };
+  if (payload.recurrence) {
+    body.recurrence = toGraphRecurrence(payload.recurrence, {
+      startDate: payload.startISO.slice(0, 10),
+      timeZone: payload.timeZone || "UTC",
+    });
+  }
 
   if (Array.isArray(payload.attendees) && payload.attendees.length > 0) {
     body.attendees = payload.attendees
@@ -272,11 +543,118 @@ export async function msCreateCalendarEvent(accessToken, payload, opts = {}) {
   );
 
   const j = await r.json();
-  if (!r.ok) throw new Error(`MS create event error: ${j?.error?.message || r.statusText}`);
+  if (!r.ok) throw apiError(`MS create event error: ${j?.error?.message || r.statusText}`, r.status);
 
   return { id: j.id, webLink: j.webLink || "" };
 }
 
+// Busy intervals of other mailboxes (Graph getSchedule; times in UTC without a zone designator).
+// Returns [{ email, busy: [{ start, end }], error }].
+export async function msGetSchedule(accessToken, emails, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 5000, 1000, 20000);
+  const { start, end } = calendarRange(opts);
+
+  const r = await fetchWithTimeout(
+    "https://graph.microsoft.com/v1.0/me/calendar/getSchedule",
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+        Prefer: 'outlook.timezone="UTC"',
+      },
+      body: JSON.stringify({
+        schedules: emails,
+        startTime: { dateTime: start.toISOString().slice(0, 19), timeZone: "UTC" },
+        endTime: { dateTime: end.toISOString().slice(0, 19), timeZone: "UTC" },
+        availabilityViewInterval: 15,
+      }),
+    },
+    timeoutMs
+  );
+
+  const j = await r.json();
+  if (!r.ok) throw apiError(`MS schedule error: ${j?.error?.message || r.statusText}`, r.status);
+
+  const byEmail = new Map((j.value || []).map((s) => [String(s.scheduleId).toLowerCase(), s]));
+  return emails.map((email) => {
+    const s = byEmail.get(email.toLowerCase());
+    return {
+      email,
+      busy: (s?.scheduleItems || [])
+        .filter((i) => i.status !== "free")
+        .map((i) => ({ start: i.start?.dateTime, end: i.end?.dateTime })),
+      error: s ? s.error?.message || null : "notFound",
+    };
+  });
+}
+
+// Partial update. Graph always sends attendees an update for meetings the user organizes;
+// there is no switch to suppress it.
+export async function msUpdateCalendarEvent(accessToken, id, patch, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 8000, 1000, 20000);
+
+  const body = {};
+  if (patch.title != null) body.subject = patch.title;
+  if (patch.description != null) body.body = { contentType: "Text", content: patch.description };
+  if (patch.location != null) body.location = { displayName: patch.location };
+  if (patch.startISO) {
+    body.start = { dateTime: graphWallClock(patch.startISO, patch.allDay), timeZone: patch.timeZone || "UTC" };
+    body.end = { dateTime: graphWallClock(patch.endISO, patch.allDay), timeZone: patch.timeZone || "UTC" };
+    body.isAllDay = Boolean(patch.allDay);
+  }
+  // The range starts at the (new) first occurrence; callers pass seriesStartDate when the start doesn't change
+  if (patch.recurrence) {
+    body.recurrence = toGraphRecurrence(patch.recurrence, {
+      startDate: patch.startISO ? patch.startISO.slice(0, 10) : patch.seriesStartDate,
+      timeZone: patch.timeZone || "UTC",
+    });
+  }
+
+  const r = await fetchWithTimeout(
+    msEventUrl(id),
+    {
+      method: "PATCH",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    },
+    timeoutMs
+  );
+
+  const j = await r.json();
+  if (!r.ok) throw apiError(`MS update event error: ${j?.error?.message || r.statusText}`, r.status);
+
+  return { id: j.id, webLink: j.webLink || "" };
+}
+
+// With notifyAttendees: POST /cancel (organizer only; attendees get the cancellation and comment).
+// Without: DELETE, which removes the event from the user's calendar.
+export async function msCancelCalendarEvent(accessToken, id, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 8000, 1000, 20000);
+  const notify = opts.notifyAttendees !== false;
+
+  const r = await fetchWithTimeout(
+    msEventUrl(id, notify ? "cancel" : ""),
+    {
+      method: notify ? "POST" : "DELETE",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: notify ? JSON.stringify({ Comment: opts.comment || "" }) : undefined,
+    },
+    timeoutMs
+  );
+
+  if (!r.ok) {
+    const j = await r.json().catch(() => null);
+    throw apiError(`MS cancel event error: ${j?.error?.message || r.statusText}`, r.status);
+  }
+}
+
 // --------------------
 // Microsoft Graph Mail
 // opts: { maxItems, timeoutMs }
@@ -287,7 +665,7 @@ export async function msFetchMailUnread(accessToken, opts = {}) {
 
   const url = new URL("https://graph.microsoft.com/v1.0/me/mailFolders/Inbox/messages");
   url.searchParams.set("$top", String(maxItems));
-  url.searchParams.set("$select", "id,subject,from,receivedDateTime,bodyPreview,isRead");
+  url.searchParams.set("$select", "id,conversationId,subject,from,receivedDateTime,bodyPreview,isRead");
   url.searchParams.set("$orderby", "receivedDateTime DESC");
 
   const r = await fetchWithTimeout(
@@ -297,13 +675,14 @@ export async function msFetchMailUnread(accessToken, opts = {}) {
   );
 
   const j = await r.json();
-  if (!r.ok) throw new Error(`MS mail error: ${j?.error?.message || r.statusText}`);
+  if (!r.ok) throw apiError(`MS mail error: ${j?.error?.message || r.statusText}`, r.status);
 
   return (j.value || [])
     .filter((m) => m.isRead === false)
     .slice(0, maxItems)
     .map((m) => ({
       id: m.id,
+      conversationId: m.conversationId,
       subject: m.subject || "(no subject)",
       from: m.from?.emailAddress?.address || "",
       received: m.receivedDateTime,
@@ -311,20 +690,101 @@ export async function msFetchMailUnread(accessToken, opts = {}) {
     }));
 }
 
+export async function msSearchMail(accessToken, query, opts = {}) {
+  const maxItems = clampInt(opts.maxItems, 5, 1, 20);
+  const timeoutMs = clampInt(opts.timeoutMs, 5000, 1000, 20000);
+
+  // $search cannot be combined with $orderby; Graph ranks by relevance/date itself
+  const url = new URL("https://graph.microsoft.com/v1.0/me/messages");
+  url.searchParams.set("$search", `"${String(query ?? "").replace(/"/g, "")}"`);
+  url.searchParams.set("$top", String(maxItems));
+  url.searchParams.set("$select", "id,conversationId,subject,from,receivedDateTime,bodyPreview,isRead");
+
+  const r = await fetchWithTimeout(
+    url,
+    { headers: { Authorization: `Bearer ${accessToken}` } },
+    timeoutMs
+  );
+
+  const j = await r.json();
+  if (!r.ok) throw apiError(`MS mail search error: ${j?.error?.message || r.statusText}`, r.status);
+
+  return (j.value || []).map((m) => ({
+    id: m.id,
+    conversationId: m.conversationId,
+    subject: m.subject || "(no subject)",
+    from: m.from?.emailAddress?.address || "",
+    received: m.receivedDateTime,
+    preview: m.bodyPreview || "",
+    isRead: Boolean(m.isRead),
+  }));
+}
+
+export async function msGetMessage(accessToken, id, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 5000, 1000, 20000);
+
+  const url = new URL(`https://graph.microsoft.com/v1.0/me/messages/${encodeURIComponent(id)}`);
+  url.searchParams.set("$select", "id,conversationId,subject,from,toRecipients,ccRecipients,receivedDateTime,body");
+
+  // Graph already decodes MIME; the HTML body is converted here so quoted blocks survive as "> "
+  const r = await fetchWithTimeout(
+    url,
+    { headers: { Authorization: `Bearer ${accessToken}` } },
+    timeoutMs
+  );
+
+  const j = await r.json();
+  if (!r.ok) throw apiError(`MS get message error: ${j?.error?.message || r.statusText}`, r.status);
+
+  const content = j.body?.content || "";
+  const text = j.body?.contentType === "html" ? htmlToText(content) : content;
+  const addresses = (list) => (list || []).map((x) => x.emailAddress?.address).filter(Boolean).join(", ");
+
+  return {
+    id: j.id,
+    conversationId: j.conversationId,
+    subject: j.subject || "(no subject)",
+    from: j.from?.emailAddress?.address || "",
+    to: addresses(j.toRecipients),
+    cc: addresses(j.ccRecipients),
+    received: j.receivedDateTime,
+    bodyText: opts.keepQuoted ? text.trim() : stripQuotedReply(text),
+  };
+}
+
+// [{ name, email }] -> Graph recipient objects
+function msRecipients(list) {
+  return (list || []).map((r) => ({
+    emailAddress: r.name ? { address: r.email, name: r.name } : { address: r.email },
+  }));
+}
+
 export async function msSendEmail(accessToken, payload, opts = {}) {
   const timeoutMs = clampInt(opts.timeoutMs, 8000, 1000, 20000);
 
-  if (!payload?.to) throw new Error("Missing 'to'");
+  if (!payload?.to?.length) throw new Error("Missing 'to'");
   if (!payload?.subject) throw new Error("Missing 'subject'");
   if (!payload?.bodyText) throw new Error("Missing 'bodyText'");
 
   const url = "https://graph.microsoft.com/v1.0/me/sendMail";
 
+  // Graph takes one body: HTML when given (it derives nothing from bodyText then)
   const body = {
     message: {
       subject: payload.subject,
-      body: { contentType: "Text", content: payload.bodyText },
-      toRecipients: [{ emailAddress: { address: payload.to } }],
+      body: payload.bodyHtml
+        ? { contentType: "HTML", content: payload.bodyHtml }
+        : { contentType: "Text", content: payload.bodyText },
+      toRecipients: msRecipients(payload.to),
+      ccRecipients: msRecipients(payload.cc),
+      bccRecipients: msRecipients(payload.bcc),
+      // Inline file attachments (Graph caps these at 3 MB per request; larger need an upload session)
+      attachments: (payload.attachments || []).map((a) => ({
+        "@odata.type": "#microsoft.graph.fileAttachment",
+        name: a.filename,
+        contentType: a.mimeType,
+        contentBytes: a.contentBase64,
+      })),
     },
     saveToSentItems: true,
   };
@@ -347,8 +807,59 @@ export async function msSendEmail(accessToken, payload, opts = {}) {
     try {
       j = await r.json();
     } catch {}
-    throw new Error(`MS sendMail error: ${j?.error?.message || r.statusText}`);
+    throw apiError(`MS sendMail error: ${j?.error?.message || r.statusText}`, r.status);
   }
 
   return { ok: true };
 }
+
+// Graph /reply, /replyAll and /forward thread the message and quote the original server-side.
+// `comment` is rendered as HTML above the quoted message.
+async function msMessageAction(accessToken, id, action, body, opts = {}) {
+  const timeoutMs = clampInt(opts.timeoutMs, 8000, 1000, 20000);
+
+  const url = `https://graph.microsoft.com/v1.0/me/messages/${encodeURIComponent(id)}/${action}`;
+
+  const r = await fetchWithTimeout(
+    url,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    },
+    timeoutMs
+  );
+
+  if (!r.ok) {
+    let j = null;
+    try {
+      j = await r.json();
+    } catch {}
+    throw apiError(`MS ${action} error: ${j?.error?.message || r.statusText}`, r.status);
+  }
+
+  return { ok: true };
+}
+
+export async function msReplyEmail(accessToken, id, payload, opts = {}) {
+  if (!payload?.bodyText) throw new Error("Missing 'bodyText'");
+  const action = payload.replyAll ? "replyAll" : "reply";
+  return msMessageAction(accessToken, id, action, { comment: textToHtml(payload.bodyText) }, opts);
+}
+
+export async function msForwardEmail(accessToken, id, payload, opts = {}) {
+  if (!payload?.to?.length) throw new Error("Missing 'to'");
+  return msMessageAction(
+    accessToken,
+    id,
+    "forward",
+    {
+      comment: textToHtml(payload.bodyText || ""),
+      toRecipients: msRecipients(payload.to),
+    },
+    opts
+  );
+}
@@ -0,0 +1,240 @@
+import {
+  googleFetchCalendarEvents,
+  googleCreateCalendarEvent,
+  googleGetCalendarEvent,
+  googleUpdateCalendarEvent,
+  googleDeleteCalendarEvent,
+  googleFreeBusy,
+  googleFetchGmailUnread,
+  googleSearchGmail,
+  googleGetGmailMessage,
+  googleGetProfile,
+  googleSendEmail,
+} from "./providerClients.js";
+import { parseAddressList, quoteText } from "./mime.js";
+import {
+  googleStart,
+  googleCallback,
+  googleRefreshAccessToken,
+  googleRevokeToken,
+} from "./oauthGoogle.js";
+
+/**
+ * Google adapter (Gmail + Google Calendar). See providerRegistry.js for the interface.
+ */
+
+// Gmail "Date" headers are RFC 2822, Calendar uses RFC 3339 offsets; normalize to ISO 8601 (UTC)
+function toISO(value) {
+  const ms = Date.parse(String(value ?? ""));
+  return Number.isNaN(ms) ? "" : new Date(ms).toISOString();
+}
+
+function isDateOnly(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value ?? ""));
+}
+
+// Calendar returns date-times with the calendar's offset; the domain uses UTC
+function toEventTime(value) {
+  return isDateOnly(value) ? value : toISO(value);
+}
+
+function toEvent(e) {
+  return {
+    provider: "google",
+    id: e.id,
+    title: e.summary || "(no title)",
+    start: toEventTime(e.start),
+    end: toEventTime(e.end),
+    allDay: isDateOnly(e.start),
+    busy: e.transparency !== "transparent",
+    seriesId: e.recurringEventId || null,
+    location: e.location || "",
+    webLink: e.htmlLink || "",
+  };
+}
+
+// Instances of a recurring event have their own ids; scope "series" targets the recurring event itself
+async function targetEventId(accessToken, payload, opts) {
+  if (payload.scope !== "series") return payload.eventId;
+  const e = await googleGetCalendarEvent(accessToken, payload.eventId, opts);
+  return e.recurringEventId || e.id;
+}
+
+function prefixSubject(subject, prefix, re) {
+  return re.test(subject) ? subject : `${prefix} ${subject}`;
+}
+
+function recipients(header) {
+  return parseAddressList(header)
+    .filter((a) => a.email.includes("@"))
+    .map(({ name, email }) => ({ name, email }));
+}
+
+// Reply-all recipients: original To + Cc without the sender being replied to and without ourselves
+function replyAllCc(orig, to, self) {
+  const skip = new Set([...to.map((a) => a.email.toLowerCase()), String(self).toLowerCase()]);
+  const cc = [];
+  for (const a of recipients(`${orig.to}, ${orig.cc}`)) {
+    const key = a.email.toLowerCase();
+    if (skip.has(key)) continue;
+    skip.add(key);
+    cc.push(a);
+  }
+  return cc;
+}
+
+function toEmailSummary(m) {
+  return {
+    provider: "google",
+    id: m.id,
+    threadId: m.threadId || null,
+    from: m.from || "",
+    subject: m.subject || "(no subject)",
+    date: toISO(m.date),
+    snippet: m.snippet || "",
+  };
+}
+
+export const googleProvider = {
+  id: "google",
+  label: "Google",
+
+  capabilities: {
+    listEvents: true,
+    createEvent: true,
+    getEvent: true,
+    updateEvent: true,
+    cancelEvent: true,
+    freeBusy: true,
+    listUnread: true,
+    searchMail: true,
+    getMessage: true,
+    sendEmail: true,
+    replyEmail: true,
+    forwardEmail: true,
+    revoke: true,
+  },
+
+  oauth: {
+    start: googleStart,
+    callback: googleCallback,
+    refreshAccessToken: googleRefreshAccessToken,
+    revokeToken: googleRevokeToken,
+  },
+
+  async listEvents(accessToken, opts) {
+    return (await googleFetchCalendarEvents(accessToken, opts)).map(toEvent);
+  },
+
+  async createEvent(accessToken, payload, opts) {
+    const r = await googleCreateCalendarEvent(accessToken, payload, opts);
+    return { provider: "google", id: r.id, webLink: r.htmlLink, status: r.status };
+  },
+
+  async getEvent(accessToken, id, opts) {
+    const e = await googleGetCalendarEvent(accessToken, id, opts);
+    return { ...toEvent(e), description: e.description, attendees: e.attendees };
+  },
+
+  async updateEvent(accessToken, payload, opts) {
+    const id = await targetEventId(accessToken, payload, opts);
+    const r = await googleUpdateCalendarEvent(accessToken, id, payload, opts);
+    return { provider: "google", id: r.id, webLink: r.htmlLink, status: r.status };
+  },
+
+  // Google has no cancellation message; attendees just get the cancellation when notified
+  async cancelEvent(accessToken, payload, opts = {}) {
+    const id = await targetEventId(accessToken, payload, opts);
+    await googleDeleteCalendarEvent(accessToken, id, { ...opts, notifyAttendees: payload.notifyAttendees });
+    return { provider: "google", id, status: "cancelled" };
+  },
+
+  async freeBusy(accessToken, emails, opts) {
+    return (await googleFreeBusy(accessToken, emails, opts)).map((f) => ({
+      email: f.email,
+      busy: f.busy.map((b) => ({ start: toISO(b.start), end: toISO(b.end) })),
+      error: f.error,
+    }));
+  },
+
+  async listUnread(accessToken, opts = {}) {
+    return (await googleFetchGmailUnread(accessToken, { ...opts, maxIds: opts.max })).map(toEmailSummary);
+  },
+
+  async searchMail(accessToken, query, opts = {}) {
+    return (await googleSearchGmail(accessToken, query, { ...opts, maxIds: opts.max })).map(toEmailSummary);
+  },
+
+  async getMessage(accessToken, id, opts) {
+    const m = await googleGetGmailMessage(accessToken, id, opts);
+    return {
+      provider: "google",
+      id: m.id,
+      threadId: m.threadId || null,
+      from: m.from,
+      to: m.to,
+      cc: m.cc,
+      subject: m.subject,
+      date: toISO(m.date),
+      bodyText: m.bodyText,
+    };
+  },
+
+  async sendEmail(accessToken, payload, opts) {
+    const r = await googleSendEmail(accessToken, payload, opts);
+    return { provider: "google", id: r.id, threadId: r.threadId };
+  },
+
+  // Gmail has no reply endpoint: send into the thread with In-Reply-To/References and quote the original
+  async replyEmail(accessToken, payload, opts) {
+    const orig = await googleGetGmailMessage(accessToken, payload.messageId, opts);
+    const to = recipients(orig.replyTo || orig.from);
+    const self = payload.replyAll ? (await googleGetProfile(accessToken, opts)).emailAddress : "";
+
+    const r = await googleSendEmail(
+      accessToken,
+      {
+        to,
+        cc: payload.replyAll ? replyAllCc(orig, to, self) : [],
+        subject: prefixSubject(orig.subject, "Re:", /^re:/i),
+        bodyText: `${payload.bodyText}\n\nOn ${orig.date}, ${orig.from} wrote:\n${quoteText(orig.bodyText)}`,
+        threadId: orig.threadId,
+        inReplyTo: orig.messageId,
+        references: [orig.references, orig.messageId].filter(Boolean).join(" "),
+      },
+      opts
+    );
+    return { provider: "google", id: r.id, threadId: r.threadId };
+  },
+
+  // Forwards the text body inline (the original's attachments are not re-attached)
+  async forwardEmail(accessToken, payload, opts) {
+    const orig = await googleGetGmailMessage(accessToken, payload.messageId, { ...opts, keepQuoted: true });
+    const bodyText = [
+      payload.bodyText || "",
+      "",
+      "---------- Forwarded message ---------",
+      `From: ${orig.from}`,
+      `Date: ${orig.date}`,
+      `Subject: ${orig.subject}`,
+      `To: ${orig.to}`,
+      orig.cc ? `Cc: ${orig.cc}` : null,
+      "",
+      orig.bodyText,
+    ]
+      .filter((l) => l != null)
+      .join("\n");
+
+    const r = await googleSendEmail(
+      accessToken,
+      {
+        to: payload.to,
+        subject: prefixSubject(orig.subject, "Fwd:", /^(fwd?|fw):/i),
+        bodyText,
+        threadId: orig.threadId,
+      },
+      opts
+    );
+    return { provider: "google", id: r.id, threadId: r.threadId };
+  },
+};
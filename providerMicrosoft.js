@@ -0,0 +1,185 @@
+import {
+  msFetchCalendarEvents,
+  msCreateCalendarEvent,
+  msGetCalendarEvent,
+  msUpdateCalendarEvent,
+  msCancelCalendarEvent,
+  msGetSchedule,
+  msFetchMailUnread,
+  msSearchMail,
+  msGetMessage,
+  msSendEmail,
+  msReplyEmail,
+  msForwardEmail,
+} from "./providerClients.js";
+import {
+  microsoftStart,
+  microsoftCallback,
+  microsoftRefreshAccessToken,
+  microsoftRevokeToken,
+} from "./oauthMicrosoft.js";
+import { wallClockToInstant } from "./timeZones.js";
+
+/**
+ * Microsoft adapter (Outlook mail + calendar via Graph). See providerRegistry.js for the interface.
+ */
+
+// Graph returns UTC date-times (mail) sometimes without a zone designator ("2026-01-05T09:00:00.0000000")
+function graphUtcToISO(value) {
+  const s = String(value ?? "");
+  if (!s) return "";
+  const ms = Date.parse(/(Z|[+-]\d{2}:?\d{2})$/.test(s) ? s : `${s}Z`);
+  return Number.isNaN(ms) ? s : new Date(ms).toISOString();
+}
+
+// Calendar times are wall clock in the zone requested from Graph (msFetchCalendarEvents)
+function graphZonedToISO(value, timeZone) {
+  const ms = wallClockToInstant(String(value ?? "").slice(0, 19), timeZone);
+  return Number.isNaN(ms) ? graphUtcToISO(value) : new Date(ms).toISOString();
+}
+
+function toEvent(e) {
+  // All-day events span local midnight..midnight; expose them as dates like Google does
+  return {
+    provider: "microsoft",
+    id: e.id,
+    title: e.subject || "(no title)",
+    start: e.isAllDay ? String(e.start).slice(0, 10) : graphZonedToISO(e.start, e.timeZone),
+    end: e.isAllDay ? String(e.end).slice(0, 10) : graphZonedToISO(e.end, e.timeZone),
+    allDay: Boolean(e.isAllDay),
+    busy: e.showAs !== "free",
+    seriesId: e.seriesMasterId || null,
+    location: e.location || "",
+    webLink: e.webLink || "",
+  };
+}
+
+// Occurrences of a recurring event have their own ids; scope "series" targets the series master
+async function targetEventId(accessToken, payload, opts) {
+  if (payload.scope !== "series") return payload.eventId;
+  const e = await msGetCalendarEvent(accessToken, payload.eventId, opts);
+  return e.seriesMasterId || e.id;
+}
+
+function toEmailSummary(m) {
+  return {
+    provider: "microsoft",
+    id: m.id,
+    threadId: m.conversationId || null,
+    from: m.from || "",
+    subject: m.subject || "(no subject)",
+    date: graphUtcToISO(m.received),
+    snippet: m.preview || "",
+  };
+}
+
+export const microsoftProvider = {
+  id: "microsoft",
+  label: "Microsoft",
+
+  capabilities: {
+    listEvents: true,
+    createEvent: true,
+    getEvent: true,
+    updateEvent: true,
+    cancelEvent: true,
+    freeBusy: true,
+    listUnread: true,
+    searchMail: true,
+    getMessage: true,
+    sendEmail: true,
+    replyEmail: true,
+    forwardEmail: true,
+    revoke: false, // no per-app token revocation (see oauthMicrosoft.js)
+  },
+
+  oauth: {
+    start: microsoftStart,
+    callback: microsoftCallback,
+    refreshAccessToken: microsoftRefreshAccessToken,
+    revokeToken: microsoftRevokeToken,
+  },
+
+  async listEvents(accessToken, opts) {
+    return (await msFetchCalendarEvents(accessToken, opts)).map(toEvent);
+  },
+
+  async createEvent(accessToken, payload, opts) {
+    const r = await msCreateCalendarEvent(accessToken, payload, opts);
+    return { provider: "microsoft", id: r.id, webLink: r.webLink, status: "" };
+  },
+
+  async getEvent(accessToken, id, opts) {
+    const e = await msGetCalendarEvent(accessToken, id, opts);
+    return { ...toEvent(e), description: e.description, attendees: e.attendees };
+  },
+
+  // Graph notifies attendees of updates regardless of payload.notifyAttendees
+  async updateEvent(accessToken, payload, opts = {}) {
+    const id = await targetEventId(accessToken, payload, opts);
+    // A new rule without new times keeps the series' first occurrence
+    const seriesStartDate =
+      payload.recurrence && !payload.startISO
+        ? String((await msGetCalendarEvent(accessToken, id, { ...opts, timeZone: payload.timeZone })).start).slice(0, 10)
+        : undefined;
+    const r = await msUpdateCalendarEvent(accessToken, id, { ...payload, seriesStartDate }, opts);
+    return { provider: "microsoft", id: r.id, webLink: r.webLink, status: "" };
+  },
+
+  async cancelEvent(accessToken, payload, opts = {}) {
+    const id = await targetEventId(accessToken, payload, opts);
+    await msCancelCalendarEvent(accessToken, id, {
+      ...opts,
+      notifyAttendees: payload.notifyAttendees,
+      comment: payload.comment,
+    });
+    return { provider: "microsoft", id, status: "cancelled" };
+  },
+
+  async freeBusy(accessToken, emails, opts) {
+    return (await msGetSchedule(accessToken, emails, opts)).map((f) => ({
+      email: f.email,
+      busy: f.busy.map((b) => ({ start: graphUtcToISO(b.start), end: graphUtcToISO(b.end) })),
+      error: f.error,
+    }));
+  },
+
+  async listUnread(accessToken, opts = {}) {
+    return (await msFetchMailUnread(accessToken, { ...opts, maxItems: opts.max })).map(toEmailSummary);
+  },
+
+  async searchMail(accessToken, query, opts = {}) {
+    return (await msSearchMail(accessToken, query, { ...opts, maxItems: opts.max })).map(toEmailSummary);
+  },
+
+  async getMessage(accessToken, id, opts) {
+    const m = await msGetMessage(accessToken, id, opts);
+    return {
+      provider: "microsoft",
+      id: m.id,
+      threadId: m.conversationId || null,
+      from: m.from,
+      to: m.to,
+      cc: m.cc,
+      subject: m.subject,
+      date: graphUtcToISO(m.received),
+      bodyText: m.bodyText,
+    };
+  },
+
+  async sendEmail(accessToken, payload, opts) {
+    await msSendEmail(accessToken, payload, opts);
+    // Graph's sendMail returns 202 with no body, so there is no message id to report
+    return { provider: "microsoft", id: null, threadId: null };
+  },
+
+  async replyEmail(accessToken, payload, opts) {
+    await msReplyEmail(accessToken, payload.messageId, payload, opts);
+    return { provider: "microsoft", id: null, threadId: null };
+  },
+
+  async forwardEmail(accessToken, payload, opts) {
+    await msForwardEmail(accessToken, payload.messageId, payload, opts);
+    return { provider: "microsoft", id: null, threadId: null };
+  },
+};
@@ -0,0 +1,77 @@
+import { googleProvider } from "./providerGoogle.js";
+import { microsoftProvider } from "./providerMicrosoft.js";
+
+/**
+ * Provider adapter registry, keyed by provider id.
+ *
+ * Adding a provider = one adapter module + one registerProvider() call below.
+ * Routes, chat tools and actions only talk to adapters through this registry.
+ *
+ * Adapter interface:
+ *   id, label
+ *   capabilities: { listEvents, createEvent, getEvent, updateEvent, cancelEvent, freeBusy, listUnread,
+ *                  searchMail, getMessage, sendEmail, replyEmail, forwardEmail, revoke }
+ *   oauth: { start(req, res), callback(req, res), refreshAccessToken(refreshToken), revokeToken(token) }
+ *
+ *   listEvents(accessToken, { startISO?, endISO?, daysAhead?, maxResults?, timeZone?, timeoutMs }) -> CalendarEvent[]
+ *     (timeZone decides which local midnights all-day events span)
+ *   createEvent(accessToken, { title, allDay, startISO, endISO, timeZone, recurrence?, ... }, opts)
+ *     (recurrence: provider-neutral rule, see recurrence.js)
+ *                                                           -> { provider, id, webLink, status }
+ *   getEvent(accessToken, id, { timeZone?, timeoutMs })     -> CalendarEvent + { description, attendees }
+ *   updateEvent(accessToken, { eventId, scope, notifyAttendees, title?, allDay?, startISO?, endISO?, timeZone?,
+ *                              location?, description?, recurrence? }, opts) -> { provider, id, webLink, status }
+ *     (only the fields present change; startISO/endISO are given together)
+ *     (scope: "occurrence" = just this instance, "series" = the recurring event it belongs to)
+ *   cancelEvent(accessToken, { eventId, scope, notifyAttendees, comment? }, opts)
+ *                                                           -> { provider, id, status: "cancelled" }
+ *   freeBusy(accessToken, emails, { startISO, endISO, timeoutMs }) -> FreeBusy[] (same order as emails)
+ *   listUnread(accessToken, { max?, timeoutMs })            -> EmailSummary[]
+ *   searchMail(accessToken, query, { max?, timeoutMs })     -> EmailSummary[]
+ *   getMessage(accessToken, id, { keepQuoted?, timeoutMs }) -> EmailMessage
+ *   sendEmail(accessToken, { to, cc, bcc, subject, bodyText, bodyHtml?, attachments? }, opts)
+ *                                                           -> { provider, id, threadId }
+ *   replyEmail(accessToken, { messageId, bodyText, replyAll? }, opts) -> { provider, id, threadId }
+ *   forwardEmail(accessToken, { messageId, to, bodyText? }, opts)     -> { provider, id, threadId }
+ *     (to / cc / bcc are Recipient[])
+ *     (replies and forwards stay in the source message's thread and quote it)
+ *
+ * Domain objects (all times ISO 8601 UTC; all-day events use YYYY-MM-DD):
+ *   CalendarEvent { provider, id, title, start, end, allDay, busy, seriesId, location, webLink }
+ *                 (busy: false for events marked free / "show as available")
+ *                 (seriesId: the recurring event an instance belongs to, else null; lists return instances)
+ *   FreeBusy      { email, busy: [{ start, end }], error }
+ *                 (error: calendar not found / not shared; busy is then empty and meaningless)
+ *   EmailSummary  { provider, id, threadId, from, subject, date, snippet }
+ *   Recipient     { name?, email }
+ *   EmailMessage  { provider, id, threadId, from, to, cc, subject, date, bodyText }
+ *                 (bodyText: full plain-text body, HTML converted, quoted reply chain stripped)
+ */
+
+const registry = new Map();
+
+export function registerProvider(adapter) {
+  if (!adapter?.id) throw new Error("Provider adapter needs an id");
+  if (registry.has(adapter.id)) throw new Error(`Provider already registered: ${adapter.id}`);
+  registry.set(adapter.id, adapter);
+}
+
+export function getProvider(id) {
+  return registry.get(id) || null;
+}
+
+export function listProviders() {
+  return Array.from(registry.values());
+}
+
+// Registration order is the default preference order ("first connected provider")
+export function providerIds() {
+  return Array.from(registry.keys());
+}
+
+export function supports(id, capability) {
+  return Boolean(registry.get(id)?.capabilities?.[capability]);
+}
+
+registerProvider(googleProvider);
+registerProvider(microsoftProvider);
@@ -0,0 +1,131 @@
+/**
+ * Fixed-window rate limits per Firebase uid (client IP for unauthenticated routes).
+ *
+ * Policies (defaults; override with RATE_LIMIT_<NAME>="<max>/<window>", e.g. "20/1m", "30/1h",
+ * or "off"):
+ *   chat    — chat turns                              20 per minute
+ *   actions — executed / queued actions (any type)    60 per hour
+ *   email   — sends, replies and forwards             30 per hour
+ *   oauth   — OAuth tickets and starts                10 per 10 minutes
+ *
+ * Counters live in memory (per process) unless a shared counter is installed with
+ * setRateLimitCounter(), e.g. Redis for several instances:
+ *   { async hit(key, windowMs) -> count }   // INCR key; PEXPIRE key windowMs when count === 1
+ *
+ * Over the limit: 429 { ok: false, error: "rate_limited", details, retryAfter } with Retry-After.
+ */
+
+const DEFAULT_POLICIES = {
+  chat: "20/1m",
+  actions: "60/1h",
+  email: "30/1h",
+  oauth: "10/10m",
+};
+
+const UNITS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+// "30/1h" -> { max: 30, windowMs: 3600000 }; "off" -> null
+function parsePolicy(name, spec) {
+  const s = String(spec).trim().toLowerCase();
+  if (s === "off" || s === "0") return null;
+  const m = s.match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/);
+  if (!m || Number(m[1]) < 1) {
+    throw new Error(`Invalid RATE_LIMIT_${name.toUpperCase()} "${spec}" (expected e.g. "20/1m", "30/1h" or "off")`);
+  }
+  return { max: Number(m[1]), windowMs: Number(m[2] || 1) * UNITS[m[3]] };
+}
+
+const policies = Object.fromEntries(
+  Object.entries(DEFAULT_POLICIES).map(([name, spec]) => [
+    name,
+    parsePolicy(name, process.env[`RATE_LIMIT_${name.toUpperCase()}`] ?? spec),
+  ])
+);
+
+// --------------------
+// Counters
+// --------------------
+export function createMemoryCounter() {
+  const windows = new Map(); // key -> { count, expiresAt }; keys already carry their window start
+  let lastSweep = 0;
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      if (now - lastSweep > 60_000) {
+        lastSweep = now;
+        for (const [k, w] of windows) if (w.expiresAt <= now) windows.delete(k);
+      }
+      const w = windows.get(key) || { count: 0, expiresAt: now + windowMs };
+      w.count++;
+      windows.set(key, w);
+      return w.count;
+    },
+  };
+}
+
+let counter = createMemoryCounter();
+
+export function setRateLimitCounter(next) {
+  counter = next;
+}
+
+function rateLimitError(policy, retryAfter) {
+  const err = new Error(`Too many ${policy} requests; try again in ${retryAfter}s`);
+  err.code = "rate_limited";
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+/**
+ * Counts one hit for `id` under `policy`.
+ * Returns { limit, remaining, retryAfter } (limit null when the policy is off);
+ * throws code "rate_limited" (with retryAfter seconds) when over the limit.
+ */
+export async function consumeRateLimit(policy, id) {
+  const p = policies[policy];
+  if (!p) return { limit: null, remaining: null, retryAfter: 0 };
+
+  const now = Date.now();
+  const windowStart = Math.floor(now / p.windowMs) * p.windowMs;
+  const count = await counter.hit(`rl:${policy}:${id}:${windowStart}`, p.windowMs);
+  const retryAfter = Math.max(1, Math.ceil((windowStart + p.windowMs - now) / 1000));
+
+  if (count > p.max) throw rateLimitError(policy, retryAfter);
+  return { limit: p.max, remaining: p.max - count, retryAfter };
+}
+
+/**
+ * Express middleware. keyBy "uid" (after requireAuth) or "ip" (unauthenticated routes);
+ * "uid" falls back to the IP when there is no signed-in user.
+ */
+export function rateLimit(policy, { keyBy = "uid" } = {}) {
+  return async (req, res, next) => {
+    const id = keyBy === "uid" && req.user?.uid ? `uid:${req.user.uid}` : `ip:${req.ip}`;
+    try {
+      const { limit, remaining, retryAfter } = await consumeRateLimit(policy, id);
+      if (limit != null) {
+        res.setHeader("RateLimit-Limit", String(limit));
+        res.setHeader("RateLimit-Remaining", String(remaining));
+        res.setHeader("RateLimit-Reset", String(retryAfter));
+      }
+      return next();
+    } catch (err) {
+      if (err?.code === "rate_limited") return sendRateLimited(res, err);
+      return next(err);
+    }
+  };
+}
+
+export function sendRateLimited(res, err, extra = {}) {
+  res.setHeader("Retry-After", String(err.retryAfter));
+  return res.status(429).json({
+    ok: false,
+    error: "rate_limited",
+    details: err.message,
+    retryAfter: err.retryAfter,
+    ...extra,
+  });
+}
+
+export default rateLimit;
@@ -0,0 +1,138 @@
+import { addDays, startOfDayInZone, isDateOnly } from "./timeZones.js";
+
+/**
+ * Provider-neutral recurrence rule for calendar events:
+ *   { frequency: "daily"|"weekly"|"monthly"|"yearly", interval, daysOfWeek?, count?, until? }
+ *
+ *   - interval:   every n days/weeks/...; default 1
+ *   - daysOfWeek: weekly only, ["monday", "wednesday"]; default the start date's weekday
+ *   - count / until: optional end (occurrence count, or last date YYYY-MM-DD, inclusive); never both
+ *
+ * Monthly and yearly rules repeat on the start date's day of month (and month).
+ * Mapped to an RRULE for Google (toRRule) and to Graph's pattern/range (toGraphRecurrence).
+ */
+
+const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+const DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]; // getUTCDay() order
+const RRULE_DAYS = { sunday: "SU", monday: "MO", tuesday: "TU", wednesday: "WE", thursday: "TH", friday: "FR", saturday: "SA" };
+const MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 730;
+
+function weekdayOf(date) {
+  return DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Normalizes a recurrence rule; returns null when none is given.
+ * startDate (YYYY-MM-DD, the first occurrence) is used to check `until`.
+ */
+export function validateRecurrence(value, errors, { startDate = "" } = {}) {
+  if (value == null) return null;
+  if (typeof value !== "object" || Array.isArray(value)) {
+    errors.push("'recurrence' must be an object");
+    return null;
+  }
+
+  const frequency = String(value.frequency ?? "").toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) errors.push(`'recurrence.frequency' must be one of: ${FREQUENCIES.join(", ")}`);
+
+  const interval = value.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    errors.push(`'recurrence.interval' must be an integer between 1 and ${MAX_INTERVAL}`);
+  }
+
+  const rule = { frequency, interval };
+
+  if (value.daysOfWeek != null) {
+    const days = Array.isArray(value.daysOfWeek) ? value.daysOfWeek.map((d) => String(d).toLowerCase()) : [];
+    if (frequency !== "weekly") errors.push("'recurrence.daysOfWeek' is only allowed for weekly rules");
+    else if (days.length === 0 || !days.every((d) => DAYS.includes(d))) {
+      errors.push(`'recurrence.daysOfWeek' must be day names (${DAYS.slice(1).join(", ")}, sunday)`);
+    } else {
+      rule.daysOfWeek = DAYS.filter((d) => days.includes(d));
+    }
+  }
+
+  if (value.count != null && value.until != null) errors.push("'recurrence' takes either 'count' or 'until', not both");
+  if (value.count != null) {
+    if (!Number.isInteger(value.count) || value.count < 1 || value.count > MAX_COUNT) {
+      errors.push(`'recurrence.count' must be an integer between 1 and ${MAX_COUNT}`);
+    }
+    rule.count = value.count;
+  }
+  if (value.until != null) {
+    if (!isDateOnly(value.until)) errors.push("'recurrence.until' must be a date (YYYY-MM-DD)");
+    else if (isDateOnly(startDate) && value.until < startDate) errors.push("'recurrence.until' must not be before the start");
+    rule.until = value.until;
+  }
+
+  return rule;
+}
+
+// Google: "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20260301T225959Z"
+export function toRRule(rule, { allDay = false, timeZone = "UTC" } = {}) {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.daysOfWeek?.length) parts.push(`BYDAY=${rule.daysOfWeek.map((d) => RRULE_DAYS[d]).join(",")}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) {
+    // UNTIL is a date for all-day events; for timed events the last second of that local day, in UTC
+    const until = allDay
+      ? rule.until.replace(/-/g, "")
+      : new Date(startOfDayInZone(addDays(rule.until, 1), timeZone) - 1000).toISOString().replace(/[-:]|\.\d{3}/g, "");
+    parts.push(`UNTIL=${until}`);
+  }
+  return `RRULE:${parts.join(";")}`;
+}
+
+// Graph: { pattern: { type, interval, ... }, range: { type, startDate, ... } }
+export function toGraphRecurrence(rule, { startDate, timeZone = "UTC" }) {
+  const [, month, day] = startDate.split("-").map(Number);
+
+  const pattern = { interval: rule.interval };
+  if (rule.frequency === "daily") pattern.type = "daily";
+  if (rule.frequency === "weekly") {
+    Object.assign(pattern, { type: "weekly", daysOfWeek: rule.daysOfWeek || [weekdayOf(startDate)], firstDayOfWeek: "monday" });
+  }
+  if (rule.frequency === "monthly") Object.assign(pattern, { type: "absoluteMonthly", dayOfMonth: day });
+  if (rule.frequency === "yearly") Object.assign(pattern, { type: "absoluteYearly", dayOfMonth: day, month });
+
+  const range = { startDate, recurrenceTimeZone: timeZone };
+  if (rule.count) Object.assign(range, { type: "numbered", numberOfOccurrences: rule.count });
+  else if (rule.until) Object.assign(range, { type: "endDate", endDate: rule.until });
+  else range.type = "noEnd";
+
+  return { pattern, range };
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function joinAnd(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}` : items[0] || "";
+}
+
+// "Every 2 weeks on Monday and Wednesday, 10 times" / "Every month on day 15, until 2026-12-31"
+export function describeRecurrence(rule, startDate = "") {
+  if (!rule) return "";
+  const unit = { daily: "day", weekly: "week", monthly: "month", yearly: "year" }[rule.frequency];
+  const parts = [rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`];
+
+  const [, month, day] = isDateOnly(startDate) ? startDate.split("-").map(Number) : [];
+  if (rule.frequency === "weekly") {
+    const days = rule.daysOfWeek || (isDateOnly(startDate) ? [weekdayOf(startDate)] : []);
+    if (days.length) parts.push(`on ${joinAnd(days.map(capitalize))}`);
+  }
+  if (rule.frequency === "monthly" && day) parts.push(`on day ${day}`);
+  if (rule.frequency === "yearly" && day) parts.push(`on ${MONTHS[month - 1]} ${day}`);
+
+  let text = parts.join(" ");
+  if (rule.count) text += rule.count === 1 ? ", once" : `, ${rule.count} times`;
+  if (rule.until) text += `, until ${rule.until}`;
+  return text;
+}
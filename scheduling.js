@@ -0,0 +1,302 @@
+import { getProviderTokens } from "./tokenStore.js";
+import { withProviderToken } from "./tokenManager.js";
+import { getProvider, providerIds, supports } from "./providerRegistry.js";
+import { isValidEmail } from "./actions.js";
+import {
+  DEFAULT_TIME_ZONE,
+  parseDateTimeInZone,
+  isDateOnly,
+  startOfDayInZone,
+  wallClockToInstant,
+  wallClock,
+  toZonedISO,
+  addDays,
+} from "./timeZones.js";
+
+/**
+ * Meeting scheduling: busy time of the user (every connected calendar) and of attendees
+ * (adapter freeBusy: Google freeBusy / Graph getSchedule), turned into ranked slots within
+ * working hours.
+ *
+ * Used by POST /v1/calendar/find-slots, the chat's find_meeting_slots tool and the conflict
+ * check before a propose_calendar_event becomes the pending action.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_MS = 31 * DAY_MS;
+const STEP_MS = 15 * 60_000;   // candidate start times are on the quarter hour
+const BUFFER_MS = 15 * 60_000; // slots without this gap to the user's neighbouring events rank lower
+const MAX_ATTENDEES = 20;
+const MAX_PER_DAY = 2;         // spread suggestions over days before doubling up
+
+export const DEFAULT_WORKING_HOURS = { start: "09:00", end: "17:00", days: [1, 2, 3, 4, 5] }; // Mon–Fri
+
+// Date-only values are all-day events (local midnight in timeZone); "Z"-less date-times are treated as UTC
+export function providerTimeMs(value, timeZone = DEFAULT_TIME_ZONE) {
+  const s = String(value ?? "");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return startOfDayInZone(s, timeZone);
+  if (/T\d{2}:\d{2}/.test(s) && !/(Z|[+-]\d{2}:?\d{2})$/.test(s)) return Date.parse(`${s}Z`);
+  return Date.parse(s);
+}
+
+// Events from every given provider, tagged with their provider and merged by start time
+export async function listCalendarEvents(uid, providers, startMs, endMs, { timeZone, timeoutMs }) {
+  const opts = {
+    startISO: new Date(startMs).toISOString(),
+    endISO: new Date(endMs).toISOString(),
+    maxResults: 100,
+    timeZone,
+    timeoutMs,
+  };
+  const perProvider = await Promise.all(
+    providers
+      .filter((p) => supports(p, "listEvents"))
+      .map((p) => withProviderToken(uid, p, (t) => getProvider(p).listEvents(t, opts)))
+  );
+  return perProvider.flat().sort((a, b) => providerTimeMs(a.start, timeZone) - providerTimeMs(b.start, timeZone));
+}
+
+// Providers the user has connected, in registry order
+export async function connectedProviders(uid) {
+  const ids = providerIds();
+  const tokens = await Promise.all(ids.map((p) => getProviderTokens(uid, p)));
+  return ids.filter((_, i) => tokens[i]?.access_token);
+}
+
+// --------------------
+// Request validation
+// --------------------
+function parseBound(value, timeZone) {
+  return isDateOnly(value) ? startOfDayInZone(value, timeZone) : parseDateTimeInZone(value, timeZone);
+}
+
+// "HH:mm" -> minutes after midnight; "24:00" is allowed as an end of day
+function minutesOfDay(hhmm) {
+  const m = String(hhmm ?? "").match(/^([01]\d|2[0-4]):([0-5]\d)$/);
+  const min = m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+  return min <= 24 * 60 ? min : NaN;
+}
+
+function validateWorkingHours(value, errors) {
+  if (value == null) return DEFAULT_WORKING_HOURS;
+
+  const start = value.start ?? DEFAULT_WORKING_HOURS.start;
+  const end = value.end ?? DEFAULT_WORKING_HOURS.end;
+  const days = value.days ?? DEFAULT_WORKING_HOURS.days;
+
+  const startMin = minutesOfDay(start);
+  const endMin = minutesOfDay(end);
+  if (Number.isNaN(startMin) || Number.isNaN(endMin)) errors.push("'workingHours.start' / 'end' must be HH:mm");
+  else if (endMin <= startMin) errors.push("'workingHours.end' must be after 'workingHours.start'");
+  if (!Array.isArray(days) || days.length === 0 || !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+    errors.push("'workingHours.days' must be weekday numbers (0 = Sunday ... 6 = Saturday)");
+  }
+  return { start, end, days };
+}
+
+/**
+ * Returns { request, errors }. request:
+ *   { attendees: string[], durationMinutes, startMs, endMs, workingHours, maxResults, provider }
+ * startISO/endISO are local in timeZone (dates mean local midnight); the range defaults to the
+ * next 7 days and may span at most 31.
+ */
+export function validateSlotRequest(body, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const errors = [];
+
+  const rawAttendees = body?.attendees ?? [];
+  let attendees = [];
+  if (!Array.isArray(rawAttendees)) {
+    errors.push("'attendees' must be an array of email addresses");
+  } else {
+    attendees = [...new Set(rawAttendees.map((a) => String(typeof a === "object" ? a?.email ?? "" : a).trim()))];
+    for (const a of attendees) if (!isValidEmail(a)) errors.push(`Invalid attendee email: ${a || "(empty)"}`);
+    if (attendees.length > MAX_ATTENDEES) errors.push(`At most ${MAX_ATTENDEES} attendees are allowed`);
+  }
+
+  const durationMinutes = Number(body?.durationMinutes);
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 480) {
+    errors.push("'durationMinutes' must be an integer between 5 and 480");
+  }
+
+  const now = Date.now();
+  const startMs = body?.startISO ? parseBound(body.startISO, timeZone) : now;
+  const endMs = body?.endISO ? parseBound(body.endISO, timeZone) : Math.max(startMs, now) + 7 * DAY_MS;
+  if (Number.isNaN(startMs)) errors.push("'startISO' must be an ISO 8601 date or date-time");
+  if (Number.isNaN(endMs)) errors.push("'endISO' must be an ISO 8601 date or date-time");
+  if (!Number.isNaN(startMs) && !Number.isNaN(endMs)) {
+    if (endMs <= startMs) errors.push("'endISO' must be after 'startISO'");
+    else if (endMs - startMs > MAX_RANGE_MS) errors.push("The range may span at most 31 days");
+  }
+
+  const workingHours = validateWorkingHours(body?.workingHours, errors);
+
+  const maxResults = body?.maxResults == null ? 5 : Number(body.maxResults);
+  if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 20) {
+    errors.push("'maxResults' must be an integer between 1 and 20");
+  }
+
+  return {
+    request: {
+      attendees,
+      durationMinutes,
+      // never suggest times in the past
+      startMs: Math.max(startMs, now),
+      endMs,
+      workingHours,
+      maxResults,
+      provider: typeof body?.provider === "string" && body.provider ? body.provider : null,
+    },
+    errors,
+  };
+}
+
+// --------------------
+// Slot ranking
+// --------------------
+function overlaps(intervals, s, e) {
+  return intervals.some(([bs, be]) => bs < e && s < be);
+}
+
+// CalendarEvent[] / FreeBusy.busy -> [[startMs, endMs]]; events marked free don't block
+export function busyIntervals(items, timeZone) {
+  return (items || [])
+    .filter((x) => x.busy !== false)
+    .map((x) => [providerTimeMs(x.start, timeZone), providerTimeMs(x.end, timeZone)])
+    .filter(([s, e]) => !Number.isNaN(s) && !Number.isNaN(e) && e > s);
+}
+
+function compareCandidates(a, b) {
+  return a.unavailable.length - b.unavailable.length || Number(a.tight) - Number(b.tight) || a.s - b.s;
+}
+
+/**
+ * Candidate slots within working hours where the user is free, ranked by:
+ *   1. fewest unavailable attendees, 2. a buffer to the user's neighbouring events, 3. earliest.
+ * Picks non-overlapping slots, at most MAX_PER_DAY per day unless there are too few days.
+ *
+ * @param {{ durationMinutes, startMs, endMs, workingHours, maxResults }} request
+ * @param {number[][]} selfBusy                 [[startMs, endMs]]
+ * @param {Map<string, number[][]>} attendeeBusy email -> busy intervals (readable calendars only)
+ */
+export function rankSlots(request, selfBusy, attendeeBusy, timeZone = DEFAULT_TIME_ZONE) {
+  const durMs = request.durationMinutes * 60_000;
+  const { start, end, days } = request.workingHours;
+
+  const candidates = [];
+  let date = wallClock(request.startMs, timeZone).slice(0, 10);
+  for (let i = 0; i <= 32; i++, date = addDays(date, 1)) {
+    if (startOfDayInZone(date, timeZone) >= request.endMs) break;
+    if (!days.includes(new Date(`${date}T00:00:00Z`).getUTCDay())) continue;
+
+    const winStart = Math.max(request.startMs, wallClockToInstant(`${date}T${start}`, timeZone));
+    const winEnd = Math.min(
+      request.endMs,
+      end === "24:00" ? startOfDayInZone(addDays(date, 1), timeZone) : wallClockToInstant(`${date}T${end}`, timeZone)
+    );
+    if (Number.isNaN(winStart) || Number.isNaN(winEnd)) continue;
+
+    for (let s = Math.ceil(winStart / STEP_MS) * STEP_MS; s + durMs <= winEnd; s += STEP_MS) {
+      const e = s + durMs;
+      if (overlaps(selfBusy, s, e)) continue;
+      const unavailable = [...attendeeBusy].filter(([, busy]) => overlaps(busy, s, e)).map(([email]) => email);
+      candidates.push({ s, e, date, unavailable, tight: overlaps(selfBusy, s - BUFFER_MS, e + BUFFER_MS) });
+    }
+  }
+
+  candidates.sort(compareCandidates);
+
+  const picked = [];
+  for (const perDay of [MAX_PER_DAY, Infinity]) {
+    for (const c of candidates) {
+      if (picked.length >= request.maxResults) break;
+      if (picked.includes(c) || picked.some((p) => p.s < c.e && c.s < p.e)) continue;
+      if (picked.filter((p) => p.date === c.date).length >= perDay) continue;
+      picked.push(c);
+    }
+  }
+
+  return picked.sort(compareCandidates).map((c) => ({
+    startISO: toZonedISO(c.s, timeZone),
+    endISO: toZonedISO(c.e, timeZone),
+    allAttendeesFree: c.unavailable.length === 0,
+    unavailableAttendees: c.unavailable,
+  }));
+}
+
+// --------------------
+// Provider lookups
+// --------------------
+function freeBusyProvider(providers, requested) {
+  if (requested) return supports(requested, "freeBusy") ? requested : null;
+  return providers.find((p) => supports(p, "freeBusy")) || null;
+}
+
+// email -> busy intervals for attendees whose calendars are readable; the rest are "unknown"
+async function attendeeAvailability(uid, provider, attendees, startMs, endMs, { timeZone, timeoutMs }) {
+  if (attendees.length === 0) return { attendeeBusy: new Map(), unknownAttendees: [] };
+  if (!provider) return { attendeeBusy: new Map(), unknownAttendees: attendees };
+
+  const results = await withProviderToken(uid, provider, (t) =>
+    getProvider(provider).freeBusy(t, attendees, {
+      startISO: new Date(startMs).toISOString(),
+      endISO: new Date(endMs).toISOString(),
+      timeoutMs,
+    })
+  );
+
+  const attendeeBusy = new Map();
+  const unknownAttendees = [];
+  for (const r of results) {
+    if (r.error) unknownAttendees.push(r.email);
+    else attendeeBusy.set(r.email, busyIntervals(r.busy, timeZone));
+  }
+  return { attendeeBusy, unknownAttendees };
+}
+
+/**
+ * Ranked meeting slots for a validated request (validateSlotRequest).
+ * providers = the user's connected calendars; attendee free/busy goes through request.provider,
+ * else the first connected provider that supports it.
+ */
+export async function findSlots(uid, providers, request, { timeZone = DEFAULT_TIME_ZONE, timeoutMs }) {
+  const { startMs, endMs, attendees } = request;
+  const provider = freeBusyProvider(providers, request.provider);
+
+  const [events, availability] = await Promise.all([
+    listCalendarEvents(uid, providers, startMs, endMs, { timeZone, timeoutMs }),
+    attendeeAvailability(uid, provider, attendees, startMs, endMs, { timeZone, timeoutMs }),
+  ]);
+
+  return {
+    timeZone,
+    durationMinutes: request.durationMinutes,
+    workingHours: request.workingHours,
+    slots: rankSlots(request, busyIntervals(events, timeZone), availability.attendeeBusy, timeZone),
+    // calendars that could not be read (not shared / outside the organization); slots ignore them
+    unknownAttendees: availability.unknownAttendees,
+  };
+}
+
+/**
+ * Clashes for a proposed timed event (validateEventPayload payload): the user's busy events
+ * and attendees that are busy. All-day proposals don't block time and are not checked.
+ *
+ * @returns {{ events: CalendarEvent[], attendees: string[] }}
+ */
+export async function findConflicts(uid, providers, payload, { provider = null, timeZone = DEFAULT_TIME_ZONE, timeoutMs }) {
+  if (payload.allDay) return { events: [], attendees: [] };
+
+  const startMs = Date.parse(payload.startISO);
+  const endMs = Date.parse(payload.endISO);
+  const attendees = payload.attendees || [];
+
+  const [events, availability] = await Promise.all([
+    listCalendarEvents(uid, providers, startMs, endMs, { timeZone, timeoutMs }),
+    attendeeAvailability(uid, freeBusyProvider(providers, provider), attendees, startMs, endMs, { timeZone, timeoutMs }),
+  ]);
+
+  return {
+    events: events.filter((ev) => overlaps(busyIntervals([ev], timeZone), startMs, endMs)),
+    attendees: [...availability.attendeeBusy].filter(([, busy]) => overlaps(busy, startMs, endMs)).map(([email]) => email),
+  };
+}
@@ -4,7 +4,7 @@
 // - Provider cache increased to 90s (reduces repeat Gmail/Calendar calls)
 // - Smaller prompt payload (shorter snippets, fewer events, fewer messages)
 // - Lower max_output_tokens (200)
-// - Confirmation actions (Send it / Create it) execute without calling OpenAI (no loops)
+// - Confirmation actions (Send it / Create it) execute without calling the model (no loops)
 // - Email selection (#1/#2/#3) supported, and drafts are generated without extra questions
 // - Debug logs retained (assistantText length/preview/functionCalls)
 //
@@ -16,23 +16,70 @@ import "./firebaseAdmin.js";
 import express from "express";
 import cors from "cors";
 
-import { requireAuth } from "./authMiddleware.js";
-import { googleStart, googleCallback } from "./oauthGoogle.js";
-import { microsoftStart, microsoftCallback } from "./oauthMicrosoft.js";
+import { requireAuth, requireAdmin } from "./authMiddleware.js";
+import { idempotent } from "./idempotencyMiddleware.js";
+import { rateLimit, consumeRateLimit, sendRateLimited } from "./rateLimit.js";
+import { oauthStartTicket } from "./oauthState.js";
 import { getProviderTokens } from "./tokenStore.js";
+import { withProviderToken, revokeProviderTokens } from "./tokenManager.js";
+import { getProvider, listProviders, providerIds, supports } from "./providerRegistry.js";
 
 import {
-  googleFetchCalendarEvents,
-  googleCreateCalendarEvent,
-  googleFetchGmailUnread,
-  googleSendEmail,
-  msFetchCalendarEvents,
-  msCreateCalendarEvent,
-  msFetchMailUnread,
-  msSendEmail,
-} from "./providerClients.js";
-
-import { callOpenAI } from "./openaiClient.js";
+  validateEmailPayload,
+  validateReplyPayload,
+  validateForwardPayload,
+  validateEventPayload,
+  validateUpdateEventPayload,
+  validateCancelEventPayload,
+  validateSendAt,
+  EVENT_ACTIONS,
+  MAIL_ACTIONS,
+  resolveProvider,
+  executeAction,
+} from "./actions.js";
+
+import { extractAssistantText, extractFunctionCalls } from "./llmClient.js";
+import {
+  PROPOSAL_TOOLS,
+  READ_ONLY_TOOLS,
+  isReadOnlyTool,
+  parseArgs,
+  zonedEventTime,
+} from "./chatTools.js";
+import {
+  DEFAULT_WORKING_HOURS,
+  providerTimeMs,
+  connectedProviders,
+  validateSlotRequest,
+  findSlots,
+  findConflicts,
+} from "./scheduling.js";
+import { runAgentLoop } from "./agentLoop.js";
+import {
+  createConversation,
+  getConversation,
+  listConversations,
+  getMessages,
+  appendMessages,
+  deleteConversation,
+} from "./conversationStore.js";
+import { quoteText, parseAddressList } from "./mime.js";
+import { getProfile, updateProfile, resolveTimeZone } from "./profileStore.js";
+import { describeRecurrence } from "./recurrence.js";
+import {
+  listPendingActions,
+  createPendingAction,
+  claimPendingAction,
+  completePendingAction,
+  releasePendingAction,
+  cancelPendingAction,
+  cancelPendingActions,
+} from "./pendingActionStore.js";
+import { enqueueSend, listOutbox, cancelSend } from "./outboxStore.js";
+import { startOutboxWorker } from "./outboxWorker.js";
+import { recordActivity, listActivity } from "./activityLog.js";
+import { getTokenBudget, getUserUsage, getUsageOverview, setMonthlyTokenBudget } from "./usageStore.js";
+import { DEFAULT_TIME_ZONE, addDays, toZonedISO, weekday, startOfDayInZone } from "./timeZones.js";
 
 const BUILD_ID = "server.js-v6-speed-tuned";
 
@@ -40,14 +87,19 @@ const BUILD_ID = "server.js-v6-speed-tuned";
 // App
 // --------------------
 const app = express();
+// Behind a proxy (Render, nginx) req.ip must come from X-Forwarded-For for per-IP rate limits:
+// TRUST_PROXY = number of proxy hops, or an Express "trust proxy" value
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 app.use(cors());
-app.use(express.json({ limit: "2mb" }));
+app.use(express.json({ limit: "5mb" })); // send-email attachments (3 MB) arrive base64-encoded
 
 // --------------------
 // In-memory caches (per Node process)
 // --------------------
-const providerCache = new Map();   // uid -> { ts, provider, calendarEvents, unreadEmail }
-const pendingActions = new Map();  // uid -> { ts, type, provider, payload }
+const providerCache = new Map();   // uid -> { ts, timeZone, accounts, calendarEvents, unreadEmail }
 
 // --------------------
 // Tunables (speed)
@@ -57,8 +109,13 @@ const PENDING_ACTION_TTL_MS = 10 * 60_000; // 10 minutes
 const MAX_OUTPUT_TOKENS = 200;            // ↓ from 300 to 200
 const MAX_CHAT_HISTORY = 8;               // ↓ from 10 to 8
 const DAYS_AHEAD_DEFAULT = 7;             // calendar window
-const GMAIL_MAX_IDS = 3;                  // email window
+const UNREAD_MAX_ITEMS = 3;               // email window
+const CONTEXT_ITEMS_PER_PROVIDER = 3;     // emails/events per connected account in the prompt
 const PROVIDER_TIMEOUT_MS = 5000;         // provider call timeout
+const MAIL_TIMEOUT_MS = 8000;             // full message fetch (raw MIME can be large)
+const QUOTE_PREVIEW_LINES = 8;            // original email lines shown when confirming a reply/forward
+const MAX_AGENT_ITERATIONS = 4;           // model calls that may run read-only tools
+const AGENT_BUDGET_MS = 25_000;           // wall-clock budget for the whole tool loop
 
 // --------------------
 // Utils
@@ -73,25 +130,61 @@ function safeTrim(s, n = 160) { // ↓ shorter snippets for smaller prompt
   const x = String(s ?? "");
   return x.length > n ? x.slice(0, n) + "…" : x;
 }
-function compactEmailItems(items) {
-  return (items || []).slice(0, 3).map((e) => ({
+function compactEmailItems(items, max = 3) {
+  return (items || []).slice(0, max).map((e) => ({
+    provider: e.provider,
+    account: e.account || undefined,
     id: e.id,
     from: safeTrim(e.from, 120),
     subject: safeTrim(e.subject, 140),
-    date: e.date || e.received || "",
-    snippet: safeTrim(e.snippet || e.preview || "", 160),
+    date: e.date,
+    snippet: safeTrim(e.snippet, 160),
   }));
 }
-function compactEvents(items) {
-  return (items || []).slice(0, 3).map((ev) => ({ // ↓ fewer events for smaller prompt
+function compactEvents(items, max = 3, timeZone = DEFAULT_TIME_ZONE) {
+  return (items || []).slice(0, max).map((ev) => ({ // ↓ fewer events for smaller prompt
+    provider: ev.provider,
+    account: ev.account || undefined,
     id: ev.id,
-    title: ev.summary || ev.subject || "(no title)",
-    start: ev.start,
-    end: ev.end,
+    title: ev.title,
+    start: zonedEventTime(ev.start, timeZone),
+    end: zonedEventTime(ev.end, timeZone),
+    allDay: ev.allDay || undefined,
+    seriesId: ev.seriesId || undefined,
     location: safeTrim(ev.location || "", 120),
   }));
 }
 
+// Context fetches degrade to [] so chat still answers, but failures are no longer silent
+function logProviderError(label) {
+  return (err) => {
+    console.warn(`[chat] ${label} fetch failed${err?.code ? ` (${err.code})` : ""}:`, err?.message || String(err));
+    return [];
+  };
+}
+
+async function fetchProviderContext(uid, provider, account, timeZone) {
+  const adapter = getProvider(provider);
+  const timeoutMs = PROVIDER_TIMEOUT_MS;
+  const daysAhead = DAYS_AHEAD_DEFAULT;
+
+  const [cal, mail] = await Promise.all([
+    supports(provider, "listEvents")
+      ? withProviderToken(uid, provider, (t) => adapter.listEvents(t, { daysAhead, timeZone, timeoutMs })).catch(
+          logProviderError(`${provider} calendar`)
+        )
+      : [],
+    supports(provider, "listUnread")
+      ? withProviderToken(uid, provider, (t) => adapter.listUnread(t, { max: UNREAD_MAX_ITEMS, timeoutMs })).catch(
+          logProviderError(`${provider} mail`)
+        )
+      : [],
+  ]);
+
+  const tag = (item) => ({ ...item, account });
+  return { provider, account, calendarEvents: cal.map(tag), unreadEmail: mail.map(tag) };
+}
+
 function toResponsesContentParts(role, text) {
   const safeText = String(text ?? "");
   // Responses API key rule:
@@ -101,58 +194,6 @@ function toResponsesContentParts(role, text) {
   return [{ type: "input_text", text: safeText }];
 }
 
-function extractAssistantText(openaiResponse) {
-  try {
-    // Convenient field present in many Responses outputs
-    if (typeof openaiResponse?.output_text === "string" && openaiResponse.output_text.trim()) {
-      return openaiResponse.output_text.trim();
-    }
-
-    const output = openaiResponse?.output;
-    if (!Array.isArray(output)) return "";
-
-    const chunks = [];
-    for (const item of output) {
-      if (item?.type === "message" && item?.role === "assistant" && Array.isArray(item?.content)) {
-        for (const c of item.content) {
-          if (c?.type === "output_text" && typeof c?.text === "string") chunks.push(c.text);
-          if (c?.type === "refusal" && typeof c?.refusal === "string") chunks.push(c.refusal);
-        }
-      }
-    }
-    return chunks.join("\n").trim();
-  } catch {
-    return "";
-  }
-}
-
-function extractFunctionCalls(openaiResponse) {
-  try {
-    const output = openaiResponse?.output;
-    if (!Array.isArray(output)) return [];
-    const calls = [];
-    for (const item of output) {
-      if (item?.type === "function_call") {
-        calls.push({ name: item?.name, arguments: item?.arguments });
-      }
-    }
-    return calls;
-  } catch {
-    return [];
-  }
-}
-
-function parseArgs(argVal) {
-  if (!argVal) return null;
-  if (typeof argVal === "object") return argVal;
-  if (typeof argVal !== "string") return null;
-  try {
-    return JSON.parse(argVal);
-  } catch {
-    return null;
-  }
-}
-
 function normalizeCommand(text) {
   return String(text ?? "")
     .trim()
@@ -171,42 +212,253 @@ function detectSelectionIndex(text) {
   return null;
 }
 
-function toolCallsToFallbackText(functionCalls) {
-  if (!Array.isArray(functionCalls) || functionCalls.length === 0) return "";
+function displayRecipients(list) {
+  return (list || []).map((r) => (r.name ? `${r.name} <${r.email}>` : r.email)).join(", ");
+}
+
+// Source email of a reply/forward proposal, shown (quoted) so the user confirms with context.
+// `self` (the connected account) is left out of the reply-all preview.
+async function loadReplyContext(uid, provider, messageId, self) {
+  const adapter = getProvider(provider);
+  if (!adapter || !supports(provider, "getMessage")) throw new Error(`${provider} does not support reading messages`);
+  const msg = await withProviderToken(uid, provider, (t) =>
+    adapter.getMessage(t, messageId, { timeoutMs: PROVIDER_TIMEOUT_MS })
+  );
+
+  const skip = new Set([...parseAddressList(msg.from).map((a) => a.email), self].filter(Boolean).map((e) => e.toLowerCase()));
+  const others = parseAddressList(`${msg.to}, ${msg.cc}`).filter((a) => a.email.includes("@") && !skip.has(a.email.toLowerCase()));
+
+  return {
+    messageId,
+    from: msg.from,
+    subject: msg.subject,
+    date: msg.date,
+    replyAllCc: others.map((a) => a.raw).join(", "),
+    quoted: quoteText(msg.bodyText, QUOTE_PREVIEW_LINES),
+  };
+}
+
+function replyContextText(context) {
+  if (!context) return "";
+  return [`On ${context.date}, ${context.from} wrote (“${context.subject}”):`, context.quoted].join("\n");
+}
+
+// Event being changed/cancelled, loaded so the confirmation can show a before/after diff
+async function loadEventContext(uid, provider, eventId, timeZone) {
+  const adapter = getProvider(provider);
+  if (!adapter || !supports(provider, "getEvent")) throw new Error(`${provider} does not support reading events`);
+  const ev = await withProviderToken(uid, provider, (t) =>
+    adapter.getEvent(t, eventId, { timeZone, timeoutMs: PROVIDER_TIMEOUT_MS })
+  );
+
+  return {
+    eventId: ev.id,
+    title: ev.title,
+    allDay: ev.allDay,
+    startISO: zonedEventTime(ev.start, timeZone),
+    endISO: zonedEventTime(ev.end, timeZone),
+    seriesId: ev.seriesId,
+    location: ev.location,
+    description: ev.description,
+    attendees: ev.attendees,
+  };
+}
 
-  const first = functionCalls[0];
-  const args = parseArgs(first.arguments) || {};
+// One-line "when": "2026-01-05 09:00–10:00", "2026-01-05 – 2026-01-07 (all day)"
+function eventWhen({ allDay, startISO, endISO }) {
+  if (allDay) {
+    const last = addDays(endISO, -1); // endISO is exclusive
+    return `${last > startISO ? `${startISO} – ${last}` : startISO} (all day)`;
+  }
+  const [sd, st, ed, et] = [startISO.slice(0, 10), startISO.slice(11, 16), endISO.slice(0, 10), endISO.slice(11, 16)];
+  return sd === ed ? `${sd} ${st}–${et}` : `${sd} ${st} – ${ed} ${et}`;
+}
+
+function changed(label, before, after) {
+  return `${label}: ${before || "(none)"} → ${after || "(none)"}`;
+}
 
-  if (first.name === "propose_email") {
-    const to = args.to || "(missing recipient)";
-    const subject = args.subject || "(no subject)";
-    const body = args.bodyText || "(no body)";
+// Before/after summary for update_event / cancel_event confirmations
+function eventChangeText(type, context, payload, timeZone) {
+  if (!context) return "";
+  const attendees = context.attendees?.length
+    ? `Attendees: ${context.attendees.length} (${payload.notifyAttendees ? "will be notified" : "won’t be notified"})`
+    : null;
+  const scope =
+    context.seriesId || payload.scope === "series"
+      ? `Applies to: ${payload.scope === "series" ? "every occurrence in the series" : "this occurrence only"}`
+      : null;
+
+  if (type === "cancel_event") {
+    return [
+      `Event: ${context.title}`,
+      `When: ${eventWhen(context)} (${timeZone})`,
+      scope,
+      attendees,
+      payload.comment ? `Message: ${payload.comment}` : null,
+    ]
+      .filter((l) => l != null)
+      .join("\n");
+  }
+
+  return [
+    `Event: ${context.title}`,
+    payload.title != null && payload.title !== context.title ? changed("Title", context.title, payload.title) : null,
+    payload.startISO
+      ? `${changed("When", eventWhen(context), eventWhen(payload))} (${timeZone})`
+      : `When: ${eventWhen(context)} (${timeZone}, unchanged)`,
+    payload.location != null && payload.location !== context.location
+      ? changed("Location", context.location, payload.location)
+      : null,
+    payload.description != null && payload.description !== context.description
+      ? changed("Notes", (context.description || "").slice(0, 80), payload.description.slice(0, 80))
+      : null,
+    payload.recurrence
+      ? `Repeats: ${describeRecurrence(payload.recurrence, (payload.startISO || context.startISO).slice(0, 10))}`
+      : null,
+    scope,
+    attendees,
+  ]
+    .filter((l) => l != null)
+    .join("\n");
+}
+
+const CONFLICT_ALTERNATIVES = 3;
+const CONFLICT_SEARCH_DAYS = 3;
+
+// Free slots near a clashing proposal (same duration, from its day onwards)
+async function conflictAlternatives(uid, providers, provider, payload, timeZone) {
+  const startMs = Date.parse(payload.startISO);
+  const from = Math.max(nowMs(), startOfDayInZone(payload.startISO.slice(0, 10), timeZone));
+  const request = {
+    attendees: payload.attendees || [],
+    durationMinutes: Math.round((Date.parse(payload.endISO) - startMs) / 60_000),
+    startMs: from,
+    endMs: from + CONFLICT_SEARCH_DAYS * 24 * 60 * 60 * 1000,
+    workingHours: DEFAULT_WORKING_HOURS,
+    maxResults: CONFLICT_ALTERNATIVES,
+    provider,
+  };
+  return (await findSlots(uid, providers, request, { timeZone, timeoutMs: PROVIDER_TIMEOUT_MS })).slots;
+}
+
+function conflictText(conflicts, alternatives, timeZone) {
+  return [
+    "That time clashes with:",
+    ...conflicts.events.map((ev) => {
+      const when = { allDay: ev.allDay, startISO: zonedEventTime(ev.start, timeZone), endISO: zonedEventTime(ev.end, timeZone) };
+      return `- ${ev.title} (${eventWhen(when)})`;
+    }),
+    ...conflicts.attendees.map((email) => `- ${email} is busy`),
+    "",
+    alternatives.length
+      ? `Free alternatives (${timeZone}):\n${alternatives.map((a) => `- ${eventWhen(a)}`).join("\n")}`
+      : "I couldn’t find a free alternative in the next few days.",
+    "",
+    "Pick another time, or tell me to book it anyway.",
+  ].join("\n");
+}
+
+function eventTimeText(payload) {
+  const repeats = payload.recurrence
+    ? [`Repeats: ${describeRecurrence(payload.recurrence, payload.startISO.slice(0, 10))}`]
+    : [];
+  if (payload.allDay) {
+    const last = addDays(payload.endISO, -1); // endISO is exclusive
+    return [`Date: ${last > payload.startISO ? `${payload.startISO} – ${last}` : payload.startISO} (all day)`, ...repeats];
+  }
+  return [`Start: ${payload.startISO}`, `End: ${payload.endISO}`, `Time zone: ${payload.timeZone}`, ...repeats];
+}
+
+// "Send at" line for scheduled mail proposals
+function sendAtText(action, timeZone) {
+  return action.sendAt != null ? `Send at: ${toZonedISO(action.sendAt, timeZone)} (${timeZone})` : null;
+}
+
+// What the user is asked to confirm, for one stored pending action
+function proposalText(action, timeZone = DEFAULT_TIME_ZONE) {
+  const { type, payload, context } = action;
+
+  if (type === "reply") {
+    return [
+      "Here’s a reply for your approval:",
+      "",
+      `To: ${context?.from || "(original sender)"}`,
+      payload.replyAll && context?.replyAllCc ? `Cc: ${context.replyAllCc}` : null,
+      sendAtText(action, timeZone),
+      "",
+      payload.bodyText || "(no body)",
+      "",
+      replyContextText(context),
+      "",
+      'Reply with: "Send it" to send, or tell me what to change.',
+    ]
+      .filter((l) => l != null)
+      .join("\n");
+  }
+
+  if (type === "forward") {
+    return [
+      "Here’s a forward for your approval:",
+      "",
+      `To: ${displayRecipients(payload.to) || "(missing recipient)"}`,
+      sendAtText(action, timeZone),
+      payload.bodyText ? `\n${payload.bodyText}` : "",
+      "",
+      replyContextText(context),
+      "",
+      'Reply with: "Send it" to forward, or tell me what to change.',
+    ]
+      .filter((l) => l != null)
+      .join("\n");
+  }
+
+  if (type === "email") {
     return [
       "Here’s a draft email for your approval:",
       "",
-      `To: ${to}`,
-      `Subject: ${subject}`,
+      `To: ${displayRecipients(payload.to) || "(missing recipient)"}`,
+      payload.cc.length ? `Cc: ${displayRecipients(payload.cc)}` : null,
+      payload.bcc.length ? `Bcc: ${displayRecipients(payload.bcc)}` : null,
+      `Subject: ${payload.subject || "(no subject)"}`,
+      sendAtText(action, timeZone),
       "",
-      body,
+      payload.bodyText || "(no body)",
       "",
       'Reply with: "Send it" to send, or tell me what to change.',
+    ]
+      .filter((l) => l != null)
+      .join("\n");
+  }
+
+  if (type === "update_event") {
+    return [
+      "Here’s the change for your approval:",
+      "",
+      eventChangeText(type, context, payload, timeZone),
+      "",
+      'Reply with: "Update it" to save the change, or tell me what to change.',
     ].join("\n");
   }
 
-  if (first.name === "propose_calendar_event") {
-    const title = args.title || "(no title)";
-    const startISO = args.startISO || "(missing start)";
-    const endISO = args.endISO || "(missing end)";
-    const location = args.location || "";
-    const desc = args.description || "";
+  if (type === "cancel_event") {
+    return [
+      "Here’s the cancellation for your approval:",
+      "",
+      eventChangeText(type, context, payload, timeZone),
+      "",
+      'Reply with: "Cancel it" to cancel the event, or tell me what to change.',
+    ].join("\n");
+  }
+
+  if (type === "event") {
     return [
       "Here’s a calendar event proposal for your approval:",
       "",
-      `Title: ${title}`,
-      `Start: ${startISO}`,
-      `End: ${endISO}`,
-      location ? `Location: ${location}` : "",
-      desc ? `Notes: ${desc}` : "",
+      `Title: ${payload.title || "(no title)"}`,
+      ...eventTimeText(payload),
+      payload.location ? `Location: ${payload.location}` : "",
+      payload.description ? `Notes: ${payload.description}` : "",
       "",
       'Reply with: "Create it" to create the event, or tell me what to change.',
     ]
@@ -214,27 +466,311 @@ function toolCallsToFallbackText(functionCalls) {
       .join("\n");
   }
 
-  return `I prepared an action proposal (${first.name}). Please confirm or tell me changes.`;
+  return "I prepared an action proposal. Please confirm or tell me changes.";
 }
 
-function setPending(uid, action) {
-  pendingActions.set(uid, { ts: nowMs(), ...action });
+// Source email / before-after shown under the model's own text
+function proposalContextText(action, timeZone) {
+  if (action.type === "reply" || action.type === "forward") return replyContextText(action.context);
+  if (action.type === "update_event" || action.type === "cancel_event") {
+    return eventChangeText(action.type, action.context, action.payload, timeZone);
+  }
+  return "";
 }
 
-function getPending(uid) {
-  const p = pendingActions.get(uid);
-  if (!p) return null;
-  if (nowMs() - p.ts > PENDING_ACTION_TTL_MS) {
-    pendingActions.delete(uid);
-    return null;
+/**
+ * Turns one proposal tool call into a stored pending action.
+ * Returns { action } or, when it can't be prepared yet, { message, conflicts? } for the user.
+ */
+async function prepareProposal(uid, call, { provider, accounts, timeZone }) {
+  const args = parseArgs(call.arguments) || {};
+  const p = args.provider || provider || providerIds()[0];
+  const ttlMs = PENDING_ACTION_TTL_MS;
+
+  // Addresses and times are validated before a draft can become confirmable
+  const errors =
+    call.name === "propose_email"
+      ? validateEmailPayload(args).errors
+      : call.name === "propose_reply"
+        ? validateReplyPayload({ ...args, provider: p }).errors
+        : call.name === "propose_forward"
+          ? validateForwardPayload({ ...args, provider: p }).errors
+          : call.name === "propose_calendar_event"
+            ? validateEventPayload(args, { timeZone }).errors
+            : call.name === "propose_update_event"
+              ? validateUpdateEventPayload({ ...args, provider: p }, { timeZone }).errors
+              : call.name === "propose_cancel_event"
+                ? validateCancelEventPayload({ ...args, provider: p }).errors
+                : [];
+  const sendAt = /^propose_(email|reply|forward)$/.test(call.name) ? validateSendAt(args.sendAt, timeZone, errors) : null;
+  if (errors.length > 0) {
+    return {
+      message: `I can’t prepare that ${call.name.endsWith("_event") ? "event" : "email"} yet:\n- ${errors.join("\n- ")}\n\nWhat should I change?`,
+    };
+  }
+
+  if (call.name === "propose_reply" || call.name === "propose_forward") {
+    const self = accounts.find((a) => a.provider === p)?.account ?? null;
+    let context = null;
+    try {
+      context = await loadReplyContext(uid, p, String(args.messageId || ""), self);
+    } catch (err) {
+      console.warn(`[chat] reply context fetch failed${err?.code ? ` (${err.code})` : ""}:`, err?.message || String(err));
+    }
+    if (!context) return { message: "I couldn’t open the original email, so I can’t prepare that yet. Which email did you mean?" };
+
+    const isReply = call.name === "propose_reply";
+    const { payload } = (isReply ? validateReplyPayload : validateForwardPayload)({ ...args, provider: p });
+    const action = await createPendingAction(uid, {
+      type: isReply ? "reply" : "forward",
+      provider: p,
+      context,
+      payload: { ...payload, messageId: context.messageId },
+      sendAt,
+      ttlMs,
+    });
+    return { action };
+  }
+
+  if (call.name === "propose_email") {
+    const { payload } = validateEmailPayload(args);
+    return { action: await createPendingAction(uid, { type: "email", provider: p, payload, sendAt, ttlMs }) };
+  }
+
+  if (call.name === "propose_update_event" || call.name === "propose_cancel_event") {
+    let context = null;
+    try {
+      context = await loadEventContext(uid, p, String(args.eventId || ""), timeZone);
+    } catch (err) {
+      console.warn(`[chat] event context fetch failed${err?.code ? ` (${err.code})` : ""}:`, err?.message || String(err));
+    }
+    if (!context) return { message: "I couldn’t find that event, so I can’t prepare that yet. Which event did you mean?" };
+
+    const isUpdate = call.name === "propose_update_event";
+    const { payload } = isUpdate
+      ? validateUpdateEventPayload({ ...args, provider: p }, { timeZone })
+      : validateCancelEventPayload({ ...args, provider: p });
+    const action = await createPendingAction(uid, {
+      type: isUpdate ? "update_event" : "cancel_event",
+      provider: p,
+      context,
+      payload: { ...payload, eventId: context.eventId },
+      ttlMs,
+    });
+    return { action };
+  }
+
+  if (call.name === "propose_calendar_event") {
+    const { payload } = validateEventPayload(args, { timeZone });
+
+    // Clashes are shown with alternatives instead of becoming a pending action, unless the user accepted them
+    if (args.allowConflicts !== true) {
+      const providers = accounts.map((a) => a.provider);
+      let conflicts = null;
+      try {
+        conflicts = await findConflicts(uid, providers, payload, { provider: p, timeZone, timeoutMs: PROVIDER_TIMEOUT_MS });
+      } catch (err) {
+        console.warn(`[chat] conflict check failed${err?.code ? ` (${err.code})` : ""}:`, err?.message || String(err));
+      }
+
+      if (conflicts && (conflicts.events.length > 0 || conflicts.attendees.length > 0)) {
+        const alternatives = await conflictAlternatives(uid, providers, p, payload, timeZone).catch(() => []);
+        return {
+          message: conflictText(conflicts, alternatives, timeZone),
+          conflicts: { events: conflicts.events, attendees: conflicts.attendees, alternatives },
+        };
+      }
+    }
+
+    return { action: await createPendingAction(uid, { type: "event", provider: p, payload, ttlMs }) };
   }
-  return p;
+
+  return { message: `I can’t prepare ${call.name} yet.` };
+}
+
+// { ok, <provider>: connected, accounts: { <provider>: account|null } } for every registered provider
+async function buildOAuthStatus(uid) {
+  const ids = providerIds();
+  const tokens = await Promise.all(ids.map((p) => getProviderTokens(uid, p)));
+
+  const status = { ok: true };
+  const accounts = {};
+  ids.forEach((p, i) => {
+    status[p] = tokens[i] != null;
+    accounts[p] = tokens[i]?.account ?? null;
+  });
+  return { ...status, accounts };
+}
+
+// Confirmation command -> pending action types it executes
+const CONFIRM_COMMANDS = {
+  "send it": ["email", "reply", "forward"],
+  "create it": ["event"],
+  "update it": ["update_event"],
+  "cancel it": ["cancel_event"],
+};
+
+const PENDING_LABELS = {
+  email: "an email draft",
+  reply: "a reply",
+  forward: "a forward",
+  event: "a new calendar event",
+  update_event: "a calendar change",
+  cancel_event: "an event cancellation",
+};
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+// Queued mail (undo window / scheduled) is not sent yet; say so instead of "Sent"
+function mailHeadline(result, sentText) {
+  if (result?.status !== "queued") return sentText;
+  if (result.kind === "scheduled") return `🕗 Scheduled for ${result.sendAt}. Reply "Undo" to cancel it.`;
+  return `✅ Sending in ${result.undoSeconds} seconds. Reply "Undo" to stop it.`;
+}
+
+function confirmedText(pending, timeZone) {
+  const { type, payload, context, result } = pending;
+  switch (type) {
+    case "reply":
+      return `${mailHeadline(result, "✅ Reply sent.")}\n\nTo: ${context?.from}\nSubject: ${context?.subject}`;
+    case "forward":
+      return `${mailHeadline(result, "✅ Forwarded.")}\n\nTo: ${displayRecipients(payload.to)}\nSubject: ${context?.subject}`;
+    case "email":
+      return `${mailHeadline(result, "✅ Sent.")}\n\nTo: ${displayRecipients(payload.to)}\nSubject: ${payload.subject}`;
+    case "event":
+      return [`✅ Calendar event created.`, "", `Title: ${payload.title}`, ...eventTimeText(payload)].join("\n");
+    case "update_event":
+      return `✅ Event updated.\n\n${eventChangeText(type, context, payload, timeZone)}`;
+    case "cancel_event":
+      return `✅ Event cancelled.\n\n${eventChangeText(type, context, payload, timeZone)}`;
+    default:
+      return "✅ Done.";
+  }
+}
+
+function mailSubject(job) {
+  return job.type === "email" ? job.payload.subject : job.context?.subject || "(no subject)";
 }
 
-function clearPending(uid) {
-  pendingActions.delete(uid);
+// Outbox job as returned to clients
+function publicOutboxJob({ uid: _uid, ...job }) {
+  return job;
+}
+
+// Activity log fields for an action (pending or direct)
+function activityFields(action, source) {
+  return { type: action.type, provider: action.provider, source, actionId: action.id };
+}
+
+async function executeLogged(uid, action, source) {
+  try {
+    const result = await executeAction(uid, action);
+    await recordActivity(uid, { ...activityFields(action, source), event: "executed", payload: action.payload, result });
+    return result;
+  } catch (err) {
+    await recordActivity(uid, { ...activityFields(action, source), event: "failed", payload: action.payload, error: err });
+    throw err;
+  }
+}
+
+// Every execution path (direct, confirm by id, typed confirmation) calls this before sendOrQueue.
+// Throws code "rate_limited" when over the actions / email limits.
+async function consumeActionLimits(uid, action) {
+  if (MAIL_ACTIONS.has(action.type)) await consumeRateLimit("email", `uid:${uid}`);
+  await consumeRateLimit("actions", `uid:${uid}`);
+}
+
+/**
+ * Mail is queued in the outbox when it is scheduled (action.sendAt) or the user has an undo window;
+ * everything else executes now. Queued mail returns { provider, status: "queued", outboxId, kind,
+ * sendAt (in timeZone), undoSeconds? }. Both paths are recorded in the activity log.
+ * Callers check consumeActionLimits first.
+ */
+async function sendOrQueue(uid, action, { timeZone = DEFAULT_TIME_ZONE, conversationId, source = "api" } = {}) {
+  if (!MAIL_ACTIONS.has(action.type)) return executeLogged(uid, action, source);
+
+  const { undoSendSeconds } = await getProfile(uid);
+  const scheduled = action.sendAt != null;
+  if (!scheduled && !(undoSendSeconds > 0)) return executeLogged(uid, action, source);
+
+  const job = await enqueueSend(uid, {
+    kind: scheduled ? "scheduled" : "undo",
+    type: action.type,
+    provider: action.provider,
+    payload: action.payload,
+    context: action.context,
+    conversationId,
+    actionId: action.id,
+    sendAt: scheduled ? action.sendAt : Date.now() + undoSendSeconds * 1000,
+  });
+  await recordActivity(uid, {
+    ...activityFields(action, source),
+    event: "queued",
+    payload: action.payload,
+    outboxId: job.id,
+    reason: job.kind,
+  });
+  console.log(`[outbox] ${job.type} queued id=${job.id} kind=${job.kind} provider=${job.provider} uid=${uid}`);
+
+  return {
+    provider: job.provider,
+    status: "queued",
+    outboxId: job.id,
+    kind: job.kind,
+    sendAt: toZonedISO(job.sendAt, timeZone),
+    ...(scheduled ? {} : { undoSeconds: undoSendSeconds }),
+  };
 }
 
+// Worker gave up on a queued email: tell the user in the conversation it was confirmed in
+async function notifySendFailed(job) {
+  if (!job.conversationId) return; // direct sends: the failure is visible in GET /v1/outbox
+  await appendMessages(job.uid, job.conversationId, [
+    {
+      role: "assistant",
+      text: `⚠️ I couldn’t send “${mailSubject(job)}”: ${job.lastError?.message || "unknown error"}\n\nAsk me to draft it again if you still want to send it.`,
+      result: { provider: job.provider, status: "failed", outboxId: job.id, error: job.lastError },
+    },
+  ]);
+}
+
+/**
+ * Executes a stored pending action at most once: claim -> execute (or queue mail) -> confirmed.
+ * A failed execution puts it back to pending (with lastError) so it can be retried; once it has
+ * run, it is never reopened (a failed completion leaves the claim to expire as "failed").
+ * Returns { action, result }.
+ */
+async function confirmAction(uid, id, { timeZone, conversationId, source = "api" } = {}) {
+  const action = await claimPendingAction(uid, id);
+  let result;
+  try {
+    // A rate-limited confirm leaves the action pending and is not logged as confirmed
+    await consumeActionLimits(uid, action);
+    await recordActivity(uid, { ...activityFields(action, source), event: "confirmed" });
+    result = await sendOrQueue(uid, action, { timeZone, conversationId, source });
+  } catch (err) {
+    await releasePendingAction(uid, id, err);
+    throw err;
+  }
+
+  if (EVENT_ACTIONS.has(action.type)) providerCache.delete(uid); // calendar context changed
+  console.log(`[actions] ${action.type} confirmed id=${action.id} provider=${action.provider} uid=${uid}`);
+  try {
+    return { action: await completePendingAction(uid, id, result), result };
+  } catch (err) {
+    console.error(`[actions] ${action.type} ran but not marked confirmed id=${action.id} uid=${uid}:`, err);
+    return { action: { ...action, status: "confirmed", result }, result };
+  }
+}
+
+// Pending-action state errors (pendingActionStore.js) -> HTTP status
+const ACTION_STATE_STATUS = { not_found: 404, action_expired: 410, action_not_pending: 409, outbox_not_queued: 409 };
+
+// Typed undo: cancels the newest queued email
+const UNDO_COMMANDS = new Set(["undo", "undo send", "unsend"]);
+
 // --------------------
 // Health
 // --------------------
@@ -243,36 +779,71 @@ app.get("/health", (_req, res) => res.json({ ok: true, build: BUILD_ID }));
 // --------------------
 // OAuth routes
 // --------------------
-app.get("/v1/oauth/google/start", googleStart);
-app.get("/v1/oauth/google/callback", googleCallback);
+function requireKnownProvider(req, res, next) {
+  if (!getProvider(String(req.params.provider || ""))) {
+    return res.status(400).json({ ok: false, error: "bad_request", details: "Unknown provider" });
+  }
+  next();
+}
 
-app.get("/v1/oauth/microsoft/start", microsoftStart);
-app.get("/v1/oauth/microsoft/callback", microsoftCallback);
+// Start is opened in a browser (no Authorization header), so it is authorized by a
+// signed ticket that the app fetches with its Firebase ID token.
+app.post("/v1/oauth/:provider/ticket", requireAuth, rateLimit("oauth"), requireKnownProvider, oauthStartTicket);
+
+for (const adapter of listProviders()) {
+  app.get(`/v1/oauth/${adapter.id}/start`, rateLimit("oauth", { keyBy: "ip" }), adapter.oauth.start);
+  app.get(`/v1/oauth/${adapter.id}/callback`, adapter.oauth.callback);
+}
 
 // --------------------
 // Status
 // --------------------
-app.get("/v1/oauth/status", requireAuth, (req, res) => {
+app.get("/v1/oauth/status", requireAuth, async (req, res) => {
+  try {
+    res.json(await buildOAuthStatus(req.user.uid));
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err) });
+  }
+});
+
+// --------------------
+// Disconnect (revoke + forget)
+// --------------------
+app.delete("/v1/oauth/:provider", requireAuth, requireKnownProvider, async (req, res) => {
   const uid = req.user.uid;
-  res.json({
-    ok: true,
-    google: getProviderTokens(uid, "google") != null,
-    microsoft: getProviderTokens(uid, "microsoft") != null,
-  });
+  const provider = String(req.params.provider);
+
+  try {
+    const { revoked } = await revokeProviderTokens(uid, provider);
+
+    // Cached context and drafts were built from this account; drop them too
+    providerCache.delete(uid);
+    for (const action of await cancelPendingActions(uid, (a) => a.provider === provider)) {
+      await recordActivity(uid, { ...activityFields(action, "api"), event: "cancelled", reason: "disconnected" });
+    }
+
+    console.log(`[oauth] disconnected provider=${provider} uid=${uid} revoked=${revoked}`);
+    res.json({ ...(await buildOAuthStatus(uid)), disconnected: provider, revoked });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err) });
+  }
 });
 
 // --------------------
 // Chat (draft/propose + execute on confirmation)
 // --------------------
-app.post("/v1/chat", requireAuth, async (req, res) => {
+/**
+ * One chat turn over a client-supplied message list.
+ * Returns { status, body } — body is exactly what the JSON route sends.
+ *
+ * opts.onEvent / opts.signal enable streaming (see agentLoop.js).
+ */
+async function runChatCore(uid, messages, { onEvent, signal, timeZone = DEFAULT_TIME_ZONE, conversationId } = {}) {
   const tAll = performance.now();
 
   try {
-    const uid = req.user.uid;
-    const { messages } = req.body || {};
-
     if (!Array.isArray(messages)) {
-      return res.status(400).json({
+      return reply(400, {
         ok: false,
         error: "bad_request",
         details: "messages must be an array",
@@ -284,12 +855,13 @@ app.post("/v1/chat", requireAuth, async (req, res) => {
     const lastText = lastMsg?.text ?? "";
     const cmd = normalizeCommand(lastText);
 
-    // ✅ Confirmations execute without calling OpenAI (fast + prevents loops)
-    if (cmd === "send it" || cmd === "create it") {
-      const pending = getPending(uid);
+    // ✅ Confirmations execute without calling the model (fast + prevents loops).
+    // The newest pending action of a matching type is confirmed; apps confirm a specific one by id.
+    if (Object.hasOwn(CONFIRM_COMMANDS, cmd)) {
+      const pending = await listPendingActions(uid);
 
-      if (!pending) {
-        return res.json({
+      if (pending.length === 0) {
+        return reply(200, {
           ok: true,
           assistantText:
             'I don’t have a pending action to confirm. Ask me to draft an email or propose a calendar event first.',
@@ -298,167 +870,121 @@ app.post("/v1/chat", requireAuth, async (req, res) => {
         });
       }
 
-      const tokens = getProviderTokens(uid, pending.provider);
-
-      if (!tokens?.access_token) {
-        clearPending(uid);
-        return res.status(400).json({
-          ok: false,
-          error: "not_connected",
-          details: `No access token found for provider: ${pending.provider}`,
-          build: BUILD_ID,
-        });
-      }
-
-      if (cmd === "send it") {
-        if (pending.type !== "email") {
-          return res.json({
-            ok: true,
-            assistantText: 'Your last pending action is not an email. Reply "Create it" for calendar events.',
-            functionCalls: [],
-            build: BUILD_ID,
-          });
-        }
-
-        let result;
-        if (pending.provider === "google") {
-          result = await googleSendEmail(tokens.access_token, pending.payload);
-        } else if (pending.provider === "microsoft") {
-          result = await msSendEmail(tokens.access_token, pending.payload);
-        } else {
-          return res.status(400).json({ ok: false, error: "bad_request", details: "Unknown provider", build: BUILD_ID });
-        }
-
-        clearPending(uid);
-
-        return res.json({
+      const match = pending.find((a) => CONFIRM_COMMANDS[cmd].includes(a.type));
+      if (!match) {
+        const latest = pending[0];
+        const expected = Object.keys(CONFIRM_COMMANDS).find((c) => CONFIRM_COMMANDS[c].includes(latest.type));
+        return reply(200, {
           ok: true,
-          assistantText: `✅ Sent.\n\nTo: ${pending.payload.to}\nSubject: ${pending.payload.subject}`,
+          assistantText: `Your last pending action is ${PENDING_LABELS[latest.type]}. Reply "${capitalize(expected)}" to confirm it, or tell me what to change.`,
           functionCalls: [],
           build: BUILD_ID,
-          result,
         });
       }
 
-      if (cmd === "create it") {
-        if (pending.type !== "event") {
-          return res.json({
-            ok: true,
-            assistantText: 'Your last pending action is not a calendar event. Reply "Send it" for email drafts.',
-            functionCalls: [],
-            build: BUILD_ID,
-          });
-        }
-
-        let result;
-        if (pending.provider === "google") {
-          result = await googleCreateCalendarEvent(tokens.access_token, pending.payload);
-        } else if (pending.provider === "microsoft") {
-          result = await msCreateCalendarEvent(tokens.access_token, pending.payload);
-        } else {
-          return res.status(400).json({ ok: false, error: "bad_request", details: "Unknown provider", build: BUILD_ID });
-        }
-
-        clearPending(uid);
-
-        return res.json({
-          ok: true,
-          assistantText: `✅ Calendar event created.\n\nTitle: ${pending.payload.title}\nStart: ${pending.payload.startISO}\nEnd: ${pending.payload.endISO}`,
-          functionCalls: [],
-          build: BUILD_ID,
-          result,
+      const { action, result } = await confirmAction(uid, match.id, { timeZone, conversationId, source: "chat" });
+
+      return reply(200, {
+        ok: true,
+        assistantText: confirmedText(action, timeZone),
+        functionCalls: [],
+        action,
+        build: BUILD_ID,
+        result,
+      });
+    }
+
+    if (UNDO_COMMANDS.has(cmd)) {
+      const [job] = await listOutbox(uid, { status: "queued" });
+      let cancelled = null;
+      if (job) cancelled = await cancelSend(uid, job.id).catch(() => null); // already sending/sent
+      if (cancelled) {
+        await recordActivity(uid, {
+          type: cancelled.type,
+          provider: cancelled.provider,
+          source: "chat",
+          actionId: cancelled.actionId,
+          outboxId: cancelled.id,
+          event: "cancelled",
+          reason: "undo",
         });
       }
+
+      return reply(200, {
+        ok: true,
+        assistantText: cancelled
+          ? `↩️ Not sent: “${mailSubject(cancelled)}”.`
+          : job
+            ? "Too late — that email is already on its way."
+            : "There’s no email waiting to be sent.",
+        functionCalls: [],
+        ...(cancelled ? { outbox: publicOutboxJob(cancelled) } : {}),
+        build: BUILD_ID,
+      });
+    }
+
+    // Monthly token budget: answer without calling the model once it is used up
+    // (confirmations and undo above still work)
+    const budget = await getTokenBudget(uid);
+    if (budget.exceeded) {
+      console.log(`[chat] token budget reached uid=${uid} used=${budget.used}`);
+      return reply(200, {
+        ok: true,
+        assistantText: `You’ve reached this month’s assistant usage limit, so I can’t answer new requests until ${toZonedISO(Date.parse(budget.resetsAt), timeZone).slice(0, 10)}. You can still confirm or undo pending actions ("Send it", "Undo").`,
+        functionCalls: [],
+        usageLimitReached: true,
+        budget,
+        build: BUILD_ID,
+      });
     }
 
     // ---- Provider context (with cache)
     const cached = providerCache.get(uid);
-    const cacheFresh = Boolean(cached && nowMs() - cached.ts < PROVIDER_CACHE_MS);
+    const cacheFresh = Boolean(cached && cached.timeZone === timeZone && nowMs() - cached.ts < PROVIDER_CACHE_MS);
 
-    let provider = cached?.provider ?? null;
+    let accounts = cached?.accounts ?? [];
     let calendarEvents = cached?.calendarEvents ?? [];
     let unreadEmail = cached?.unreadEmail ?? [];
 
-    const googleTokens = getProviderTokens(uid, "google");
-    const msTokens = getProviderTokens(uid, "microsoft");
-
     const tProvider = performance.now();
 
     if (!cacheFresh) {
-      provider = null;
-      calendarEvents = [];
-      unreadEmail = [];
-
-      const timeoutMs = PROVIDER_TIMEOUT_MS;
-      const daysAhead = DAYS_AHEAD_DEFAULT;
-
-      if (googleTokens?.access_token) {
-        provider = "google";
-        const [cal, mail] = await Promise.all([
-          googleFetchCalendarEvents(googleTokens.access_token, { daysAhead, timeoutMs }).catch(() => []),
-          googleFetchGmailUnread(googleTokens.access_token, { maxIds: GMAIL_MAX_IDS, timeoutMs }).catch(() => []),
-        ]);
-        calendarEvents = cal;
-        unreadEmail = mail;
-      } else if (msTokens?.access_token) {
-        provider = "microsoft";
-        const [cal, mail] = await Promise.all([
-          msFetchCalendarEvents(msTokens.access_token, { daysAhead, timeoutMs }).catch(() => []),
-          msFetchMailUnread(msTokens.access_token, { maxItems: 5, timeoutMs }).catch(() => []),
-        ]);
-        calendarEvents = cal;
-        unreadEmail = mail;
-      }
-
-      providerCache.set(uid, { ts: nowMs(), provider, calendarEvents, unreadEmail });
+      // Every connected account, in parallel; items are tagged and merged by time
+      const contexts = await Promise.all(
+        providerIds().map(async (p) => {
+          const tokens = await getProviderTokens(uid, p);
+          return tokens?.access_token ? fetchProviderContext(uid, p, tokens.account ?? null, timeZone) : null;
+        })
+      );
+      const connected = contexts.filter(Boolean);
+
+      accounts = connected.map(({ provider, account }) => ({ provider, account }));
+      calendarEvents = connected
+        .flatMap((c) => c.calendarEvents)
+        .sort((a, b) => providerTimeMs(a.start, timeZone) - providerTimeMs(b.start, timeZone));
+      unreadEmail = connected
+        .flatMap((c) => c.unreadEmail)
+        .sort((a, b) => providerTimeMs(b.date) - providerTimeMs(a.date));
+
+      providerCache.set(uid, { ts: nowMs(), timeZone, accounts, calendarEvents, unreadEmail });
     }
 
-    console.log(`[chat] providerFetch cacheFresh=${cacheFresh} provider=${provider ?? "none"} ${ms(tProvider)}ms`);
+    // Default for tools/proposals that don't name a provider
+    const provider = accounts[0]?.provider ?? null;
+    const contextItems = CONTEXT_ITEMS_PER_PROVIDER * Math.max(1, accounts.length);
+
+    console.log(
+      `[chat] providerFetch cacheFresh=${cacheFresh} providers=${accounts.map((a) => a.provider).join(",") || "none"} ${ms(tProvider)}ms`
+    );
 
     // Selection detection (#1/#2/#3)
     const selIdx = detectSelectionIndex(lastText);
-    const condensedEmails = compactEmailItems(unreadEmail);
+    const condensedEmails = compactEmailItems(unreadEmail, contextItems);
     const selectedEmail =
       selIdx != null && selIdx >= 0 && selIdx < condensedEmails.length ? condensedEmails[selIdx] : null;
 
-    // ✅ Responses API tools require top-level `name`
-    const tools = [
-      {
-        type: "function",
-        name: "propose_calendar_event",
-        description: "Propose a calendar event for user confirmation. Do NOT create it directly.",
-        parameters: {
-          type: "object",
-          additionalProperties: false,
-          properties: {
-            provider: { type: "string", enum: ["google", "microsoft"] },
-            title: { type: "string" },
-            startISO: { type: "string", description: "ISO 8601 date-time string" },
-            endISO: { type: "string", description: "ISO 8601 date-time string" },
-            description: { type: "string" },
-            location: { type: "string" },
-            attendees: { type: "array", items: { type: "string" } },
-          },
-          required: ["provider", "title", "startISO", "endISO"],
-        },
-      },
-      {
-        type: "function",
-        name: "propose_email",
-        description: "Propose an email draft for user confirmation. Do NOT send it directly.",
-        parameters: {
-          type: "object",
-          additionalProperties: false,
-          properties: {
-            provider: { type: "string", enum: ["google", "microsoft"] },
-            to: { type: "string" },
-            subject: { type: "string" },
-            bodyText: { type: "string" },
-          },
-          required: ["provider", "to", "subject", "bodyText"],
-        },
-      },
-    ];
+    // Read-only tools are only useful when there is an account to read from
+    const tools = provider ? [...PROPOSAL_TOOLS, ...READ_ONLY_TOOLS] : PROPOSAL_TOOLS;
 
     // ✅ Stronger rules: if user specifies email #, draft immediately (no questions)
     const systemMsg = [
@@ -466,20 +992,30 @@ app.post("/v1/chat", requireAuth, async (req, res) => {
       "Keep responses concise unless the user asks for detail.",
       "",
       "Hard rules:",
-      '1) NEVER send email or create calendar events without explicit confirmation ("Send it" / "Create it").',
-      "2) If asked to send/create, propose using propose_email / propose_calendar_event.",
+      '1) NEVER send email or create, change or cancel calendar events without explicit confirmation ("Send it" / "Create it" / "Update it" / "Cancel it").',
+      "2) If asked to send/create, propose using propose_email / propose_calendar_event. To answer or pass on a received email, use propose_reply / propose_forward with its id (not propose_email) so it stays in the thread. To move, change or cancel an existing event, use propose_update_event / propose_cancel_event with its id.",
       "3) If the user specifies an email number (#1/#2/#3) or a specific sender/subject, DO NOT ask questions—draft immediately.",
+      "4) Items are tagged with provider/account. When replying to an email or scheduling around an event, use that item's provider in propose_email / propose_calendar_event.",
+      "5) The lists below are only a preview. Use search_mail / get_email / list_events / find_free_time to look up anything else before answering or proposing. Before proposing a meeting with other people, use find_meeting_slots.",
+      "6) Times are in the user's time zone. Give event times as local date-times (YYYY-MM-DDTHH:mm) without an offset; for all-day events set allDay and use dates (YYYY-MM-DD).",
+      "7) Only when the user asks to send an email later, set sendAt (local date-time) on the proposal; otherwise it goes out on confirmation.",
+      "",
+      `User time zone: ${timeZone}. Now: ${toZonedISO(nowMs(), timeZone)} (${weekday(nowMs(), timeZone)}).`,
       "",
-      `Connected provider: ${provider ?? "none"}`,
+      `Connected accounts: ${
+        accounts.map((a) => (a.account ? `${a.provider} (${a.account})` : a.provider)).join(", ") || "none"
+      }`,
       "",
       "Unread email (condensed list):",
       JSON.stringify(condensedEmails, null, 2),
       "",
-      selectedEmail ? "Selected email (use this one):" : "Selected email: (none)",
+      selectedEmail
+        ? "Selected email (use this one; the snippet is truncated, call get_email with its provider and id for the full text before drafting a reply):"
+        : "Selected email: (none)",
       selectedEmail ? JSON.stringify(selectedEmail, null, 2) : "",
       "",
-      "Calendar (next 7 days, condensed):",
-      JSON.stringify(compactEvents(calendarEvents), null, 2),
+      `Calendar (next 7 days, condensed, times in ${timeZone}):`,
+      JSON.stringify(compactEvents(calendarEvents, contextItems, timeZone), null, 2),
     ]
       .filter(Boolean)
       .join("\n");
@@ -496,69 +1032,617 @@ app.post("/v1/chat", requireAuth, async (req, res) => {
     ];
 
     const tOpenAI = performance.now();
-    const out = await callOpenAI({
+    const { response: out, toolSteps } = await runAgentLoop({
+      uid,
       input: openaiInput,
       tools,
+      provider,
+      providers: accounts.map((a) => a.provider),
+      timeZone,
       max_output_tokens: MAX_OUTPUT_TOKENS,
+      maxIterations: MAX_AGENT_ITERATIONS,
+      budgetMs: AGENT_BUDGET_MS,
+      toolTimeoutMs: PROVIDER_TIMEOUT_MS,
+      onEvent,
+      signal,
     });
-    console.log(`[chat] openai ${ms(tOpenAI)}ms total=${ms(tAll)}ms`);
+    console.log(
+      `[chat] model ${ms(tOpenAI)}ms tools=${toolSteps.map((t) => t.name).join(",") || "none"} total=${ms(tAll)}ms`
+    );
 
-    const functionCalls = extractFunctionCalls(out);
+    // Only proposals go back to the client; read-only calls were already answered server-side
+    const functionCalls = extractFunctionCalls(out).filter((c) => !isReadOnlyTool(c.name));
     let assistantText = extractAssistantText(out);
 
-    // Always return something the UI can render
-    if (!assistantText) assistantText = toolCallsToFallbackText(functionCalls);
-
-    // Store pending action when tool call returned
-    if (Array.isArray(functionCalls) && functionCalls.length > 0) {
-      const first = functionCalls[0];
-      const args = parseArgs(first.arguments) || {};
-
-      if (first.name === "propose_email") {
-        const p = args.provider || provider || "google";
-        setPending(uid, {
-          type: "email",
-          provider: p,
-          payload: {
-            to: args.to || "",
-            subject: args.subject || "",
-            bodyText: args.bodyText || "",
-          },
-        });
+    // Every proposal becomes its own pending action, confirmed by id (or "Send it" / "Create it" / ...)
+    const prepared = [];
+    for (const call of functionCalls) {
+      const p = await prepareProposal(uid, call, { provider, accounts, timeZone });
+      if (p.action) {
+        await recordActivity(uid, { ...activityFields(p.action, "chat"), event: "proposed", payload: p.action.payload });
       }
+      prepared.push({ call, ...p });
+    }
+    const accepted = prepared.filter((p) => p.action);
+    const problems = prepared.filter((p) => !p.action);
+    const conflicts = problems.find((p) => p.conflicts)?.conflicts;
+
+    if (problems.length > 0 && accepted.length === 0) {
+      return reply(200, {
+        ok: true,
+        assistantText: problems.map((p) => p.message).join("\n\n"),
+        functionCalls: [],
+        pendingActions: [],
+        ...(conflicts ? { conflicts } : {}),
+        build: BUILD_ID,
+      });
+    }
 
-      if (first.name === "propose_calendar_event") {
-        const p = args.provider || provider || "google";
-        setPending(uid, {
-          type: "event",
-          provider: p,
-          payload: {
-            title: args.title || "",
-            startISO: args.startISO || "",
-            endISO: args.endISO || "",
-            description: args.description || "",
-            location: args.location || "",
-            attendees: Array.isArray(args.attendees) ? args.attendees : [],
-          },
-        });
-      }
+    // Always return something the UI can render; replies/forwards always show what is being answered,
+    // event changes always show the before/after
+    if (!assistantText) assistantText = accepted.map((p) => proposalText(p.action, timeZone)).join("\n\n");
+    else {
+      assistantText = [assistantText, ...accepted.map((p) => proposalContextText(p.action, timeZone))]
+        .filter(Boolean)
+        .join("\n\n");
     }
+    if (problems.length > 0) assistantText = [assistantText, ...problems.map((p) => p.message)].join("\n\n");
+
+    const pendingActions = accepted.map((p) => p.action);
 
     // ✅ Debug logs
     console.log("[chat] assistantText length:", (assistantText || "").length);
     console.log("[chat] assistantText preview:", (assistantText || "").slice(0, 200));
     console.log("[chat] functionCalls count:", Array.isArray(functionCalls) ? functionCalls.length : 0);
 
-    return res.json({ ok: true, assistantText, functionCalls, build: BUILD_ID });
+    return reply(200, {
+      ok: true,
+      assistantText,
+      functionCalls: accepted.map((p) => p.call),
+      pendingAction: pendingActions[0] ?? null, // first proposal; kept for older clients
+      pendingActions,
+      ...(conflicts ? { conflicts } : {}),
+      build: BUILD_ID,
+    });
   } catch (err) {
+    if (err?.code === "client_aborted") {
+      console.log(`[chat] client disconnected after ${ms(tAll)}ms`);
+      return reply(499, { ok: false, error: "client_aborted", details: err.message, build: BUILD_ID });
+    }
+
+    if (Object.hasOwn(ACTION_STATE_STATUS, err?.code)) {
+      return reply(ACTION_STATE_STATUS[err.code], { ok: false, error: err.code, details: err.message, build: BUILD_ID });
+    }
+
+    if (err?.code === "rate_limited") {
+      return reply(429, { ok: false, error: err.code, details: err.message, retryAfter: err.retryAfter, build: BUILD_ID });
+    }
+
+    if (err?.code === "not_connected" || err?.code === "reauth_required") {
+      return reply(400, {
+        ok: false,
+        error: err.code,
+        details: err.message,
+        build: BUILD_ID,
+      });
+    }
+
     console.error("CHAT ERROR:", err);
-    return res.status(500).json({
+    return reply(500, {
       ok: false,
       error: "server_error",
       details: err?.message || String(err),
       build: BUILD_ID,
     });
   }
+}
+
+function reply(status, body) {
+  return { status, body };
+}
+
+/**
+ * Chat entry point, shared by the JSON and SSE transports. Two request shapes:
+ *   - { messages: [{ role, text }, ...] }          client-owned history (legacy)
+ *   - { conversationId?, message: { text } | "" }   server-owned history; a new conversation
+ *                                                   is created when conversationId is omitted
+ * Either shape may carry timeZone (IANA name); otherwise the profile's zone (or UTC) is used.
+ */
+async function runChatTurn(uid, reqBody, baseOpts = {}) {
+  const body = reqBody || {};
+
+  let opts;
+  try {
+    opts = { ...baseOpts, timeZone: await resolveTimeZone(uid, body.timeZone) };
+  } catch (err) {
+    if (err?.code === "invalid_payload") {
+      return reply(400, { ok: false, error: err.code, details: err.message, build: BUILD_ID });
+    }
+    return reply(500, { ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+
+  if (body.conversationId == null && body.message == null) return runChatCore(uid, body.messages, opts);
+
+  try {
+    const text = typeof body.message === "string" ? body.message : body.message?.text;
+    if (typeof text !== "string" || !text.trim()) {
+      return reply(400, { ok: false, error: "bad_request", details: "message.text is required", build: BUILD_ID });
+    }
+
+    const conversation = body.conversationId
+      ? await getConversation(uid, body.conversationId)
+      : await createConversation(uid, { title: text.trim() });
+    if (!conversation) {
+      return reply(404, { ok: false, error: "not_found", details: "Conversation not found", build: BUILD_ID });
+    }
+
+    await appendMessages(uid, conversation.id, [{ role: "user", text }]);
+    const history = (await getMessages(uid, conversation.id, { limit: MAX_CHAT_HISTORY })) || [];
+
+    const out = await runChatCore(
+      uid,
+      history.map((m) => ({ role: m.role, text: m.text })),
+      { ...opts, conversationId: conversation.id }
+    );
+
+    if (out.body.ok) {
+      const [stored] = await appendMessages(uid, conversation.id, [
+        {
+          role: "assistant",
+          text: out.body.assistantText,
+          functionCalls: out.body.functionCalls?.length ? out.body.functionCalls : undefined,
+          pendingActions: out.body.pendingActions?.length ? out.body.pendingActions : undefined,
+          action: out.body.action,
+          result: out.body.result,
+        },
+      ]);
+      out.body.messageId = stored?.id ?? null;
+    }
+    out.body.conversationId = conversation.id;
+    return out;
+  } catch (err) {
+    console.error("CHAT ERROR:", err);
+    return reply(500, { ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+}
+
+function wantsEventStream(req) {
+  return String(req.headers.accept || "").includes("text/event-stream");
+}
+
+// Server-Sent Events transport:
+//   event: delta        { text }
+//   event: tool_call    { name, arguments, readOnly }
+//   event: tool_result  { name, ms, error }
+//   event: done         same body as the JSON response (functionCalls, pendingActions, ...)
+//   event: error        { ok: false, error, details }
+async function streamChat(req, res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // disable proxy buffering (nginx/Render)
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (res.writableEnded || controller.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep idle proxies from closing the connection during tool calls
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(": ping\n\n");
+  }, 15_000);
+
+  try {
+    const { status, body } = await runChatTurn(req.user.uid, req.body, {
+      signal: controller.signal,
+      onEvent: ({ type, ...data }) => send(type, data),
+    });
+    res.locals.idempotency?.settle(status, body);
+    send(body.ok ? "done" : "error", body);
+  } finally {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+}
+
+async function chatRoute(req, res) {
+  if (wantsEventStream(req)) return streamChat(req, res);
+  const { status, body } = await runChatTurn(req.user.uid, req.body);
+  if (status === 429 && body.retryAfter) res.setHeader("Retry-After", String(body.retryAfter));
+  return res.status(status).json(body);
+}
+
+// Both accept Idempotency-Key (idempotencyMiddleware.js): a retried "Send it" replays the first answer
+// idempotent before rateLimit: replaying a stored response does not use up the chat quota
+app.post("/v1/chat", requireAuth, idempotent, rateLimit("chat"), chatRoute);
+app.post("/v1/chat/stream", requireAuth, idempotent, rateLimit("chat"), streamChat);
+
+// --------------------
+// Conversations (server-owned chat history)
+// --------------------
+function clampQueryInt(v, fallback, min, max) {
+  const n = Number.parseInt(String(v ?? ""), 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+app.post("/v1/conversations", requireAuth, async (req, res) => {
+  try {
+    const conversation = await createConversation(req.user.uid, { title: req.body?.title });
+    res.status(201).json({ ok: true, conversation, build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// Query: limit (1-100, default 20), before (updatedAt ms from the previous page's nextBefore)
+app.get("/v1/conversations", requireAuth, async (req, res) => {
+  try {
+    const limit = clampQueryInt(req.query.limit, 20, 1, 100);
+    const before = req.query.before != null ? Number(req.query.before) : null;
+    const page = await listConversations(req.user.uid, { limit, before: Number.isFinite(before) ? before : null });
+    res.json({ ok: true, ...page, build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// Query: limit (1-200, default 50) — most recent messages, oldest first
+app.get("/v1/conversations/:id/messages", requireAuth, async (req, res) => {
+  try {
+    const limit = clampQueryInt(req.query.limit, 50, 1, 200);
+    const messages = await getMessages(req.user.uid, req.params.id, { limit });
+    if (!messages) {
+      return res.status(404).json({ ok: false, error: "not_found", details: "Conversation not found", build: BUILD_ID });
+    }
+    res.json({ ok: true, conversationId: req.params.id, messages, build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+app.delete("/v1/conversations/:id", requireAuth, async (req, res) => {
+  try {
+    const deleted = await deleteConversation(req.user.uid, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ ok: false, error: "not_found", details: "Conversation not found", build: BUILD_ID });
+    }
+    res.json({ ok: true, build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// --------------------
+// Profile (per-user preferences)
+// --------------------
+app.get("/v1/profile", requireAuth, async (req, res) => {
+  try {
+    const profile = await getProfile(req.user.uid);
+    res.json({ ok: true, profile, build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// Body: { timeZone?, undoSendSeconds? } — IANA name, e.g. "Europe/Berlin"; undo window 0-30 s
+app.put("/v1/profile", requireAuth, async (req, res) => {
+  const uid = req.user.uid;
+  try {
+    const profile = await updateProfile(uid, {
+      timeZone: req.body?.timeZone,
+      undoSendSeconds: req.body?.undoSendSeconds,
+    });
+    providerCache.delete(uid); // cached calendar context is rendered in the old zone
+    res.json({ ok: true, profile, build: BUILD_ID });
+  } catch (err) {
+    if (err?.code === "invalid_payload") {
+      return res.status(400).json({ ok: false, error: err.code, details: err.message, build: BUILD_ID });
+    }
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// --------------------
+// Calendar scheduling
+// --------------------
+// Body: { durationMinutes, attendees?, startISO?, endISO?, workingHours?: { start, end, days }, maxResults?,
+//         provider?, timeZone? } — ranked slots where the user and (readable) attendees are free
+app.post("/v1/calendar/find-slots", requireAuth, async (req, res) => {
+  const uid = req.user.uid;
+
+  let timeZone;
+  try {
+    timeZone = await resolveTimeZone(uid, req.body?.timeZone);
+  } catch (err) {
+    return sendProviderError(res, err);
+  }
+
+  const { request, errors } = validateSlotRequest(req.body || {}, { timeZone });
+  if (errors.length > 0) {
+    return res.status(400).json({ ok: false, error: "invalid_payload", details: errors.join("; "), errors, build: BUILD_ID });
+  }
+
+  try {
+    const providers = await connectedProviders(uid);
+    if (providers.length === 0 || (request.provider && !providers.includes(request.provider))) {
+      return res.status(400).json({
+        ok: false,
+        error: "not_connected",
+        details: request.provider ? `No access token found for provider: ${request.provider}` : "No calendar connected",
+        build: BUILD_ID,
+      });
+    }
+
+    const result = await findSlots(uid, providers, request, { timeZone, timeoutMs: PROVIDER_TIMEOUT_MS });
+    res.json({ ok: true, ...result, build: BUILD_ID });
+  } catch (err) {
+    return sendProviderError(res, err, "SLOTS");
+  }
+});
+
+// --------------------
+// Mail (full message for the app's reader / reply screens)
+// --------------------
+// :id is the provider message id (URL-encoded); body is plain text with the quoted reply chain stripped
+app.get("/v1/mail/:provider/:id", requireAuth, requireKnownProvider, async (req, res) => {
+  const uid = req.user.uid;
+  const provider = String(req.params.provider);
+
+  if (!supports(provider, "getMessage")) {
+    return res.status(400).json({
+      ok: false,
+      error: "bad_request",
+      details: `${provider} does not support reading messages`,
+      build: BUILD_ID,
+    });
+  }
+
+  try {
+    const message = await withProviderToken(uid, provider, (t) =>
+      getProvider(provider).getMessage(t, req.params.id, { timeoutMs: MAIL_TIMEOUT_MS })
+    );
+    res.json({ ok: true, message, build: BUILD_ID });
+  } catch (err) {
+    return sendProviderError(res, err, "MAIL");
+  }
+});
+
+// --------------------
+// Direct actions (compose / event screens)
+// --------------------
+function sendProviderError(res, err, label = "ACTION") {
+  if (err?.code === "rate_limited") return sendRateLimited(res, err, { build: BUILD_ID });
+
+  if (["invalid_payload", "not_connected", "reauth_required"].includes(err?.code)) {
+    return res.status(400).json({ ok: false, error: err.code, details: err.message, build: BUILD_ID });
+  }
+
+  if (Object.hasOwn(ACTION_STATE_STATUS, err?.code)) {
+    return res.status(ACTION_STATE_STATUS[err.code]).json({ ok: false, error: err.code, details: err.message, build: BUILD_ID });
+  }
+
+  if (err?.status === 404) {
+    return res.status(404).json({ ok: false, error: "not_found", details: err.message, build: BUILD_ID });
+  }
+
+  // Provider rejected the request (or was unreachable)
+  console.error(`${label} ERROR:`, err);
+  return res.status(502).json({
+    ok: false,
+    error: "provider_error",
+    details: err?.message || String(err),
+    providerStatus: err?.status ?? null,
+    build: BUILD_ID,
+  });
+}
+
+function makeActionRoute(type, validate) {
+  return async (req, res) => {
+    const uid = req.user.uid;
+
+    let timeZone;
+    try {
+      timeZone = await resolveTimeZone(uid, req.body?.timeZone);
+    } catch (err) {
+      return sendProviderError(res, err);
+    }
+
+    const { payload, errors } = validate(req.body || {}, { timeZone });
+    const sendAt = MAIL_ACTIONS.has(type) ? validateSendAt(req.body?.sendAt, timeZone, errors) : null;
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "invalid_payload",
+        details: errors.join("; "),
+        errors,
+        build: BUILD_ID,
+      });
+    }
+
+    try {
+      const provider = await resolveProvider(uid, req.body?.provider, type);
+      const action = { type, provider, payload, sendAt };
+      await consumeActionLimits(uid, action);
+      const result = await sendOrQueue(uid, action, { timeZone });
+
+      if (EVENT_ACTIONS.has(type)) providerCache.delete(uid); // calendar context changed
+      console.log(`[actions] ${type} ${result?.status === "queued" ? "queued" : "executed"} provider=${provider} uid=${uid}`);
+
+      return res.json({ ok: true, type, provider, result, build: BUILD_ID });
+    } catch (err) {
+      return sendProviderError(res, err);
+    }
+  };
+}
+
+// Body: { provider?, to, cc?, bcc?, subject, bodyText, bodyHtml?, attachments?, sendAt? }
+app.post("/v1/actions/send-email", requireAuth, idempotent, makeActionRoute("email", validateEmailPayload));
+
+// Body: { provider, messageId, bodyText, replyAll?, sendAt? } — threaded reply quoting the original
+app.post("/v1/actions/reply-email", requireAuth, idempotent, makeActionRoute("reply", validateReplyPayload));
+
+// Body: { provider, messageId, to, bodyText?, sendAt? }
+app.post("/v1/actions/forward-email", requireAuth, idempotent, makeActionRoute("forward", validateForwardPayload));
+
+// Body: { provider?, title, startISO, endISO, allDay?, timeZone?, description?, location?, attendees? }
+// Timed events: local date-times in timeZone (or with an explicit offset). All-day: dates, endISO exclusive.
+app.post("/v1/actions/create-event", requireAuth, idempotent, makeActionRoute("event", validateEventPayload));
+
+// Body: { provider, eventId, notifyAttendees?, title?, allDay?, startISO?, endISO?, timeZone?, location?, description? }
+// Only the fields given change; startISO/endISO follow the create-event rules.
+app.post("/v1/actions/update-event", requireAuth, idempotent, makeActionRoute("update_event", validateUpdateEventPayload));
+
+// Body: { provider, eventId, notifyAttendees?, comment? }
+app.post("/v1/actions/cancel-event", requireAuth, idempotent, makeActionRoute("cancel_event", validateCancelEventPayload));
+
+// --------------------
+// Pending actions (chat proposals awaiting confirmation)
+// --------------------
+// Query: status ("pending" default | "executing" | "confirmed" | "cancelled" | "expired" | "failed" | "all")
+//   — newest first
+app.get("/v1/actions/pending", requireAuth, async (req, res) => {
+  const status = String(req.query.status || "pending");
+  try {
+    const actions = await listPendingActions(req.user.uid, { status: status === "all" ? null : status });
+    res.json({ ok: true, actions, build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// Body: { timeZone? } — zone for the returned times
+app.post("/v1/actions/:id/confirm", requireAuth, idempotent, async (req, res) => {
+  const uid = req.user.uid;
+  try {
+    const timeZone = await resolveTimeZone(uid, req.body?.timeZone);
+    const { action, result } = await confirmAction(uid, String(req.params.id), { timeZone });
+    res.json({ ok: true, action, result, build: BUILD_ID });
+  } catch (err) {
+    return sendProviderError(res, err, "CONFIRM");
+  }
+});
+
+app.post("/v1/actions/:id/cancel", requireAuth, idempotent, async (req, res) => {
+  try {
+    const action = await cancelPendingAction(req.user.uid, String(req.params.id));
+    await recordActivity(req.user.uid, { ...activityFields(action, "api"), event: "cancelled" });
+    res.json({ ok: true, action, build: BUILD_ID });
+  } catch (err) {
+    return sendProviderError(res, err, "CANCEL");
+  }
+});
+
+// --------------------
+// Outbox (undo window / scheduled mail)
+// --------------------
+// Query: status ("queued" | "sending" | "sent" | "failed" | "cancelled"; all when omitted) — newest first
+app.get("/v1/outbox", requireAuth, async (req, res) => {
+  try {
+    const jobs = await listOutbox(req.user.uid, { status: req.query.status ? String(req.query.status) : null });
+    res.json({ ok: true, outbox: jobs.map(publicOutboxJob), build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// Undo send / cancel a scheduled email; 409 outbox_not_queued once it is sending or sent
+app.post("/v1/outbox/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    const job = await cancelSend(req.user.uid, String(req.params.id));
+    await recordActivity(req.user.uid, {
+      type: job.type,
+      provider: job.provider,
+      source: "api",
+      actionId: job.actionId,
+      outboxId: job.id,
+      event: "cancelled",
+      reason: job.kind === "undo" ? "undo" : "unscheduled",
+    });
+    console.log(`[outbox] ${job.type} cancelled id=${job.id} uid=${req.user.uid}`);
+    res.json({ ok: true, outbox: publicOutboxJob(job), build: BUILD_ID });
+  } catch (err) {
+    return sendProviderError(res, err, "OUTBOX");
+  }
+});
+
+// --------------------
+// Activity (audit log)
+// --------------------
+// Query: limit (1-200, default 50), before (seq from the previous page's nextBefore), type?, actionId?, outboxId?
+app.get("/v1/activity", requireAuth, async (req, res) => {
+  try {
+    const limit = clampQueryInt(req.query.limit, 50, 1, 200);
+    const before = req.query.before != null ? Number(req.query.before) : null;
+    const page = await listActivity(req.user.uid, {
+      limit,
+      before: Number.isFinite(before) ? before : null,
+      type: req.query.type ? String(req.query.type) : null,
+      actionId: req.query.actionId ? String(req.query.actionId) : null,
+      outboxId: req.query.outboxId ? String(req.query.outboxId) : null,
+    });
+    res.json({ ok: true, ...page, build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// --------------------
+// Usage (LLM tokens)
+// --------------------
+// Query: days (1-62, default 30) — this month's totals and budget, daily totals (UTC), recent calls
+app.get("/v1/usage", requireAuth, async (req, res) => {
+  try {
+    const usage = await getUserUsage(req.user.uid, { days: clampQueryInt(req.query.days, 30, 1, 62) });
+    res.json({ ok: true, ...usage, build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// Query: month (YYYY-MM, default current UTC month), limit (1-500 top users, default 50)
+app.get("/v1/admin/usage", requireAuth, requireAdmin, async (req, res) => {
+  const month = req.query.month ? String(req.query.month) : undefined;
+  if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return res.status(400).json({ ok: false, error: "bad_request", details: "month must be YYYY-MM", build: BUILD_ID });
+  }
+  try {
+    const overview = await getUsageOverview({ month, limit: clampQueryInt(req.query.limit, 50, 1, 500) });
+    res.json({ ok: true, ...overview, build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// Body: { monthlyTokenBudget } — tokens per month for one user; null = unlimited, 0 = blocked
+app.put("/v1/admin/usage/:uid/budget", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const budget = await setMonthlyTokenBudget(String(req.params.uid), req.body?.monthlyTokenBudget ?? null);
+    res.json({ ok: true, uid: req.params.uid, budget, build: BUILD_ID });
+  } catch (err) {
+    if (err?.code === "invalid_payload") {
+      return res.status(400).json({ ok: false, error: err.code, details: err.message, build: BUILD_ID });
+    }
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
+});
+
+// Back to the default budget (USAGE_MONTHLY_TOKEN_BUDGET)
+app.delete("/v1/admin/usage/:uid/budget", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const budget = await setMonthlyTokenBudget(String(req.params.uid), undefined);
+    res.json({ ok: true, uid: req.params.uid, budget, build: BUILD_ID });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: "server_error", details: err?.message || String(err), build: BUILD_ID });
+  }
 });
 
 // --------------------
@@ -566,3 +1650,4 @@ app.post("/v1/chat", requireAuth, async (req, res) => {
 // --------------------
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`mindenu-api listening on :${PORT} (${BUILD_ID})`));
+startOutboxWorker({ onFailed: notifySendFailed });
@@ -0,0 +1,118 @@
+/**
+ * IANA time zone helpers (no dependencies; uses Intl).
+ *
+ * Terms:
+ *   - instant:    ms since epoch
+ *   - wall clock: local "YYYY-MM-DDTHH:mm:ss" in a given zone, no offset
+ *   - zoned ISO:  wall clock + that zone's offset at the instant ("2026-01-05T09:00:00+01:00")
+ */
+
+export const DEFAULT_TIME_ZONE = "UTC";
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+function formatter(timeZone) {
+  let f = formatters.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      weekday: "long",
+    });
+    formatters.set(timeZone, f);
+  }
+  return f;
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    formatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parts(ms, timeZone) {
+  const out = {};
+  for (const p of formatter(timeZone).formatToParts(new Date(ms))) out[p.type] = p.value;
+  return out;
+}
+
+export function wallClock(ms, timeZone) {
+  const p = parts(ms, timeZone);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}`;
+}
+
+export function weekday(ms, timeZone) {
+  return parts(ms, timeZone).weekday;
+}
+
+// Offset of the zone from UTC at the instant, in minutes (east positive)
+export function offsetMinutes(ms, timeZone) {
+  const wall = Date.parse(`${wallClock(ms, timeZone)}Z`);
+  return Math.round((wall - Math.floor(ms / 1000) * 1000) / 60_000);
+}
+
+function formatOffset(minutes) {
+  if (minutes === 0) return "Z";
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+}
+
+export function toZonedISO(ms, timeZone) {
+  return `${wallClock(ms, timeZone)}${formatOffset(offsetMinutes(ms, timeZone))}`;
+}
+
+/**
+ * Wall clock in the zone -> instant. Returns NaN for malformed input and for times that
+ * do not exist in the zone (skipped by a DST change). Ambiguous times (clocks set back)
+ * resolve to the earlier instant.
+ */
+export function wallClockToInstant(local, timeZone) {
+  const m = String(local ?? "").match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!m) return NaN;
+  const wall = `${m[1]}T${m[2]}:${m[3]}:${m[4] || "00"}`;
+  const asUtc = Date.parse(`${wall}Z`);
+  if (Number.isNaN(asUtc)) return NaN;
+
+  // Try the offsets in effect around that wall time; keep the first that maps back exactly
+  const candidates = [...new Set([offsetMinutes(asUtc - 86_400_000, timeZone), offsetMinutes(asUtc + 86_400_000, timeZone)])]
+    .map((off) => asUtc - off * 60_000)
+    .sort((a, b) => a - b);
+  return candidates.find((ms) => wallClock(ms, timeZone) === wall) ?? NaN;
+}
+
+const OFFSET_RE = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Date-time from a client or the model -> instant. Strings with an offset ("...Z", "...+02:00")
+ * are absolute; strings without one are wall clock in timeZone.
+ */
+export function parseDateTimeInZone(value, timeZone) {
+  const s = String(value ?? "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(s)) return NaN;
+  return OFFSET_RE.test(s) ? Date.parse(s) : wallClockToInstant(s, timeZone);
+}
+
+export function isDateOnly(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value ?? "")) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+// "2026-01-05" + n days (calendar arithmetic, zone independent)
+export function addDays(date, n) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + n * 86_400_000).toISOString().slice(0, 10);
+}
+
+// Local midnight of a date in the zone (all-day events span midnight..midnight local time)
+export function startOfDayInZone(date, timeZone) {
+  return wallClockToInstant(`${date}T00:00:00`, timeZone);
+}
@@ -0,0 +1,105 @@
+import crypto from "node:crypto";
+
+/**
+ * Envelope encryption for stored provider tokens.
+ *
+ * Each record gets its own random data key (DEK). The token JSON is encrypted with
+ * the DEK, and the DEK is wrapped with a key-encryption key (KEK) from the environment.
+ * Both layers use AES-256-GCM with the record key (uid:provider) as AAD, so a
+ * ciphertext copied onto another user's record fails to decrypt.
+ *
+ * TOKEN_ENCRYPTION_KEYS = "<keyId>:<base64 32-byte key>[,<keyId>:<key>...]"
+ *   - the FIRST entry is the active key used for new writes
+ *   - later entries are only used to decrypt (and re-wrap) older records
+ *
+ * Envelope shape (v1):
+ *   { v: 1, kid, dek: { iv, tag, data }, payload: { iv, tag, data } }
+ */
+
+const ALGO = "aes-256-gcm";
+const ENVELOPE_VERSION = 1;
+
+export function loadKeyring({ required = false } = {}) {
+  const raw = String(process.env.TOKEN_ENCRYPTION_KEYS || "").trim();
+  if (!raw) {
+    if (required) {
+      throw new Error(
+        "Missing TOKEN_ENCRYPTION_KEYS in environment (required for persistent token storage)."
+      );
+    }
+    return null;
+  }
+
+  const keys = new Map();
+  let activeKid = null;
+
+  for (const entry of raw.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const idx = entry.indexOf(":");
+    if (idx <= 0) {
+      throw new Error("TOKEN_ENCRYPTION_KEYS entries must look like <keyId>:<base64 32-byte key>");
+    }
+
+    const kid = entry.slice(0, idx);
+    const key = Buffer.from(entry.slice(idx + 1), "base64");
+    if (key.length !== 32) throw new Error(`TOKEN_ENCRYPTION_KEYS key "${kid}" must decode to 32 bytes`);
+    if (keys.has(kid)) throw new Error(`TOKEN_ENCRYPTION_KEYS has duplicate key id "${kid}"`);
+
+    keys.set(kid, key);
+    if (!activeKid) activeKid = kid;
+  }
+
+  return { activeKid, keys };
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGO, key, iv);
+  cipher.setAAD(Buffer.from(String(aad), "utf8"));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function open(key, box, aad) {
+  const decipher = crypto.createDecipheriv(ALGO, key, Buffer.from(box.iv, "base64"));
+  decipher.setAAD(Buffer.from(String(aad), "utf8"));
+  decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(box.data, "base64")), decipher.final()]);
+}
+
+function kekFor(keyring, kid) {
+  const kek = keyring?.keys.get(kid);
+  if (!kek) throw new Error(`No encryption key with id "${kid}" (was it removed from TOKEN_ENCRYPTION_KEYS?)`);
+  return kek;
+}
+
+export function isEnvelope(x) {
+  return Boolean(x && x.v === ENVELOPE_VERSION && typeof x.kid === "string" && x.dek && x.payload);
+}
+
+export function encryptJson(value, keyring, aad) {
+  const dek = crypto.randomBytes(32);
+  return {
+    v: ENVELOPE_VERSION,
+    kid: keyring.activeKid,
+    dek: seal(kekFor(keyring, keyring.activeKid), dek, aad),
+    payload: seal(dek, Buffer.from(JSON.stringify(value), "utf8"), aad),
+  };
+}
+
+export function decryptJson(envelope, keyring, aad) {
+  const dek = open(kekFor(keyring, envelope.kid), envelope.dek, aad);
+  return JSON.parse(open(dek, envelope.payload, aad).toString("utf8"));
+}
+
+/**
+ * Re-wraps the record's data key under the active KEK. The payload is untouched.
+ */
+export function rewrapEnvelope(envelope, keyring, aad) {
+  if (envelope.kid === keyring.activeKid) return envelope;
+  const dek = open(kekFor(keyring, envelope.kid), envelope.dek, aad);
+  return { ...envelope, kid: keyring.activeKid, dek: seal(kekFor(keyring, keyring.activeKid), dek, aad) };
+}
@@ -0,0 +1,139 @@
+import { getProviderTokens, setProviderTokens, clearProviderTokens } from "./tokenStore.js";
+import { getProvider } from "./providerRegistry.js";
+
+/**
+ * Access-token lifecycle for connected providers.
+ *
+ * - Refreshes shortly before `expires_at`, or after a provider 401
+ * - Writes rotated refresh tokens back to the token store
+ * - Concurrent refreshes for the same uid + provider share one request
+ *
+ * Errors thrown here carry a `code`:
+ *   - "not_connected"   no tokens stored for this provider
+ *   - "reauth_required" refresh token missing/revoked (stored tokens are cleared)
+ */
+
+const REFRESH_SKEW_MS = 60_000; // refresh 1 minute before expiry
+
+const inflightRefreshes = new Map(); // `${uid}:${provider}` -> Promise<tokens>
+
+function tokenError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function isExpiring(tokens) {
+  // Unknown expiry: use the token until the provider answers 401
+  if (!tokens?.expires_at) return false;
+  return Date.now() >= tokens.expires_at - REFRESH_SKEW_MS;
+}
+
+export function refreshProviderTokens(uid, provider) {
+  const key = `${uid}:${provider}`;
+  const existing = inflightRefreshes.get(key);
+  if (existing) return existing;
+
+  const p = (async () => {
+    const current = await getProviderTokens(uid, provider);
+    if (!current) throw tokenError("not_connected", `No tokens found for provider: ${provider}`);
+
+    const refresh = getProvider(provider)?.oauth?.refreshAccessToken;
+    if (!refresh) throw new Error(`Unknown provider: ${provider}`);
+
+    if (!current.refresh_token) {
+      await clearProviderTokens(uid, provider);
+      throw tokenError("reauth_required", `No refresh token for provider: ${provider}. Reconnect required.`);
+    }
+
+    let j;
+    try {
+      j = await refresh(current.refresh_token);
+    } catch (err) {
+      if (err?.code === "invalid_grant") {
+        await clearProviderTokens(uid, provider);
+        throw tokenError("reauth_required", `${provider} access was revoked or expired. Reconnect required.`);
+      }
+      throw err;
+    }
+
+    await setProviderTokens(uid, provider, {
+      access_token: j.access_token,
+      refresh_token: j.refresh_token || current.refresh_token,
+      expires_in: j.expires_in,
+      scope: j.scope || current.scope,
+      token_type: j.token_type || current.token_type,
+      account: current.account ?? null,
+    });
+
+    console.log(`[tokenManager] refreshed ${provider} token uid=${uid} rotated=${Boolean(j.refresh_token)}`);
+    return await getProviderTokens(uid, provider);
+  })().finally(() => inflightRefreshes.delete(key));
+
+  inflightRefreshes.set(key, p);
+  return p;
+}
+
+/**
+ * Returns a usable access token, refreshing first if it is about to expire.
+ */
+export async function getAccessToken(uid, provider) {
+  const tokens = await getProviderTokens(uid, provider);
+  if (!tokens?.access_token) throw tokenError("not_connected", `No access token found for provider: ${provider}`);
+
+  if (isExpiring(tokens)) {
+    const refreshed = await refreshProviderTokens(uid, provider);
+    return refreshed.access_token;
+  }
+  return tokens.access_token;
+}
+
+/**
+ * Runs fn(accessToken). On a provider 401 the token is refreshed once and fn retried.
+ *
+ * Usage:
+ *   await withProviderToken(uid, "google", (t) => googleSendEmail(t, payload));
+ */
+export async function withProviderToken(uid, provider, fn) {
+  const accessToken = await getAccessToken(uid, provider);
+
+  try {
+    return await fn(accessToken);
+  } catch (err) {
+    if (err?.status !== 401) throw err;
+
+    // Another request may already have refreshed; only hit the token endpoint if not
+    const latest = await getProviderTokens(uid, provider);
+    const retryToken =
+      latest?.access_token && latest.access_token !== accessToken
+        ? latest.access_token
+        : (await refreshProviderTokens(uid, provider)).access_token;
+
+    return fn(retryToken);
+  }
+}
+
+/**
+ * Disconnects a provider: revokes at the provider where supported (best effort),
+ * then always clears the stored tokens.
+ *
+ * Returns { revoked } — false when the provider has no revoke endpoint or the call failed.
+ */
+export async function revokeProviderTokens(uid, provider) {
+  const revoke = getProvider(provider)?.oauth?.revokeToken;
+  if (!revoke) throw new Error(`Unknown provider: ${provider}`);
+
+  const tokens = await getProviderTokens(uid, provider);
+  let revoked = false;
+
+  if (tokens) {
+    try {
+      revoked = await revoke(tokens.refresh_token || tokens.access_token);
+    } catch (err) {
+      console.warn(`[tokenManager] ${provider} revoke failed uid=${uid}:`, err?.message || String(err));
+    }
+  }
+
+  await clearProviderTokens(uid, provider);
+  return { revoked };
+}
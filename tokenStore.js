@@ -1,22 +1,101 @@
+import path from "node:path";
+import { createStore, dataDir, findLiveWriter } from "./kvStore.js";
+import { loadKeyring, isEnvelope, encryptJson, decryptJson, rewrapEnvelope } from "./tokenCrypto.js";
+
 /**
- * In-memory token store (starter only).
- * Replace with DB + encryption-at-rest.
+ * Provider token store (async).
  *
  * Keyed by: uid + provider.
+ *
+ * TOKEN_STORE_BACKEND selects where records live (see kvStore.js):
+ *   - "memory" (default): per-process, lost on restart
+ *   - "file":             DATA_DIR/tokens.json, requires TOKEN_ENCRYPTION_KEYS
+ *
+ * When TOKEN_ENCRYPTION_KEYS is set, every record is envelope-encrypted at rest
+ * (see tokenCrypto.js). Records still wrapped with an older key, and legacy
+ * plaintext records, are upgraded to the active key when read, or all at once
+ * with `npm run tokens:migrate` (server stopped; see rotateTokenKeys).
+ *
+ * `expires_in` (seconds, as returned by the provider) is converted to an
+ * absolute `expires_at` (ms epoch) at the moment the tokens are stored.
  */
-const store = new Map();
+const BACKEND = (process.env.TOKEN_STORE_BACKEND || "memory").trim().toLowerCase();
+
+const store = createStore(BACKEND, "tokens.json");
+const keyring = loadKeyring({ required: BACKEND !== "memory" });
 
-export function setProviderTokens(uid, provider, tokens) {
-  const key = `${uid}:${provider}`;
-  store.set(key, { ...tokens, updatedAt: Date.now() });
+function recordKey(uid, provider) {
+  return `${uid}:${provider}`;
 }
 
-export function getProviderTokens(uid, provider) {
-  const key = `${uid}:${provider}`;
-  return store.get(key) || null;
+function seal(key, value) {
+  return keyring ? encryptJson(value, keyring, key) : value;
 }
 
-export function clearProviderTokens(uid, provider) {
-  const key = `${uid}:${provider}`;
-  store.delete(key);
+export async function setProviderTokens(uid, provider, tokens) {
+  const key = recordKey(uid, provider);
+  const now = Date.now();
+  const expiresIn = Number(tokens?.expires_in);
+  const expires_at = Number.isFinite(expiresIn) && expiresIn > 0 ? now + expiresIn * 1000 : null;
+  await store.set(key, seal(key, { ...tokens, expires_at, updatedAt: now }));
+}
+
+export async function getProviderTokens(uid, provider) {
+  const key = recordKey(uid, provider);
+  const record = await store.get(key);
+  if (!record) return null;
+
+  if (!isEnvelope(record)) {
+    // Legacy plaintext record: encrypt it in place if a key is configured
+    if (keyring) await store.set(key, seal(key, record));
+    return record;
+  }
+
+  if (!keyring) throw new Error("Stored tokens are encrypted but TOKEN_ENCRYPTION_KEYS is not set");
+
+  const tokens = decryptJson(record, keyring, key);
+  if (record.kid !== keyring.activeKid) await store.set(key, rewrapEnvelope(record, keyring, key));
+  return tokens;
+}
+
+export async function clearProviderTokens(uid, provider) {
+  await store.delete(recordKey(uid, provider));
+}
+
+/**
+ * Brings every record onto the active key:
+ * plaintext records are encrypted, records under older key ids are re-wrapped.
+ *
+ * Offline only: a running server keeps its own copy of the file and would write the old
+ * records back. Throws code "store_in_use" while another process has the file loaded.
+ */
+export async function rotateTokenKeys() {
+  if (!keyring) throw new Error("TOKEN_ENCRYPTION_KEYS is not set; nothing to rotate to");
+
+  if (BACKEND === "file") {
+    const writer = await findLiveWriter(path.join(dataDir(), "tokens.json"));
+    if (writer) {
+      const err = new Error(
+        `tokens.json is in use by pid ${writer.pid} on ${writer.host}; stop the server and run the migration again ` +
+          "(a lock left by a crashed process expires 90s after its last heartbeat)"
+      );
+      err.code = "store_in_use";
+      throw err;
+    }
+  }
+
+  const counts = { total: 0, encrypted: 0, rewrapped: 0, current: 0 };
+  for (const [key, record] of await store.entries()) {
+    counts.total++;
+    if (!isEnvelope(record)) {
+      await store.set(key, seal(key, record));
+      counts.encrypted++;
+    } else if (record.kid !== keyring.activeKid) {
+      await store.set(key, rewrapEnvelope(record, keyring, key));
+      counts.rewrapped++;
+    } else {
+      counts.current++;
+    }
+  }
+  return counts;
 }
@@ -0,0 +1,222 @@
+import { createStore, createKeyedLock } from "./kvStore.js";
+
+/**
+ * LLM token usage per user (async): every model call is recorded and aggregated per UTC day
+ * and month, and checked against a monthly token budget.
+ *
+ * Backend: USAGE_STORE_BACKEND, else STORAGE_BACKEND ("memory" default, or "file"
+ * -> DATA_DIR/usage.json). See kvStore.js.
+ *
+ * Record (per uid): { days: { "YYYY-MM-DD": Totals }, months: { "YYYY-MM": Totals }, recent: Call[],
+ *                     monthlyTokenBudget? }
+ *   Totals: { requests, inputTokens, outputTokens, cachedTokens, totalTokens, latencyMs,
+ *             byModel: { <model>: { requests, totalTokens } }, byFeature: { <feature>: { requests, totalTokens } } }
+ *   Call:   { ts, feature, model, inputTokens, outputTokens, cachedTokens, totalTokens, latencyMs, streamed }
+ *
+ * Budget: monthlyTokenBudget on the record (set by an admin; null = unlimited, 0 = blocked), else
+ * USAGE_MONTHLY_TOKEN_BUDGET (default 2,000,000; "0" / "off" = unlimited). Counted on totalTokens.
+ */
+
+const BACKEND = process.env.USAGE_STORE_BACKEND || process.env.STORAGE_BACKEND || "memory";
+const store = createStore(BACKEND, "usage.json");
+
+const KEEP_DAYS = 62;
+const KEEP_MONTHS = 13;
+const MAX_RECENT_CALLS = 50;
+
+function parseBudget(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  if (s === "") return 2_000_000;
+  if (s === "off") return null;
+  const n = Number(s);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`Invalid USAGE_MONTHLY_TOKEN_BUDGET "${v}" (expected tokens, 0 or "off")`);
+  }
+  return n === 0 ? null : n;
+}
+
+const DEFAULT_MONTHLY_BUDGET = parseBudget(process.env.USAGE_MONTHLY_TOKEN_BUDGET);
+
+// Totals are read-modify-write; serialize per user
+const withLock = createKeyedLock();
+
+function usageError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+export function dayKey(ms = Date.now()) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export function monthKey(ms = Date.now()) {
+  return new Date(ms).toISOString().slice(0, 7);
+}
+
+// First instant of the next UTC month (when the budget resets)
+function nextMonthStart(ms = Date.now()) {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cachedTokens: 0,
+    totalTokens: 0,
+    latencyMs: 0,
+    byModel: {},
+    byFeature: {},
+  };
+}
+
+function addTo(totals, call) {
+  const t = totals || emptyTotals();
+  t.requests++;
+  t.inputTokens += call.inputTokens;
+  t.outputTokens += call.outputTokens;
+  t.cachedTokens += call.cachedTokens;
+  t.totalTokens += call.totalTokens;
+  t.latencyMs += call.latencyMs;
+  for (const [map, k] of [[t.byModel, call.model || "unknown"], [t.byFeature, call.feature]]) {
+    map[k] = map[k] || { requests: 0, totalTokens: 0 };
+    map[k].requests++;
+    map[k].totalTokens += call.totalTokens;
+  }
+  return t;
+}
+
+// Keeps the newest n keys of a { "YYYY-MM(-DD)": ... } map
+function keepNewest(map, n) {
+  return Object.fromEntries(Object.entries(map).sort(([a], [b]) => (a < b ? 1 : -1)).slice(0, n));
+}
+
+function budgetOf(record) {
+  return record?.monthlyTokenBudget !== undefined ? record.monthlyTokenBudget : DEFAULT_MONTHLY_BUDGET;
+}
+
+function budgetStatus(record, now = Date.now()) {
+  const limit = budgetOf(record);
+  const used = record?.months?.[monthKey(now)]?.totalTokens ?? 0;
+  return {
+    monthlyTokenBudget: limit,
+    used,
+    remaining: limit == null ? null : Math.max(0, limit - used),
+    exceeded: limit != null && used >= limit,
+    resetsAt: new Date(nextMonthStart(now)).toISOString(),
+  };
+}
+
+/**
+ * @param {{ feature, model, inputTokens, outputTokens, cachedTokens, totalTokens, latencyMs, streamed? }} call
+ * Never throws: metering must not fail a chat turn.
+ */
+export async function recordUsage(uid, call) {
+  try {
+    await withLock(String(uid), async () => {
+      const now = Date.now();
+      const c = {
+        ts: now,
+        feature: call.feature || "chat",
+        model: call.model || null,
+        inputTokens: call.inputTokens || 0,
+        outputTokens: call.outputTokens || 0,
+        cachedTokens: call.cachedTokens || 0,
+        totalTokens: call.totalTokens || (call.inputTokens || 0) + (call.outputTokens || 0),
+        latencyMs: Math.round(call.latencyMs || 0),
+        streamed: call.streamed === true,
+      };
+
+      const record = (await store.get(String(uid))) || { days: {}, months: {}, recent: [] };
+      const day = dayKey(now);
+      const month = monthKey(now);
+      await store.set(String(uid), {
+        ...record,
+        days: keepNewest({ ...record.days, [day]: addTo(record.days[day], c) }, KEEP_DAYS),
+        months: keepNewest({ ...record.months, [month]: addTo(record.months[month], c) }, KEEP_MONTHS),
+        recent: [...record.recent, c].slice(-MAX_RECENT_CALLS),
+      });
+    });
+  } catch (err) {
+    console.error("USAGE ERROR:", err);
+  }
+}
+
+// { monthlyTokenBudget, used, remaining, exceeded, resetsAt } for the current UTC month
+export async function getTokenBudget(uid) {
+  return budgetStatus(await store.get(String(uid)));
+}
+
+/**
+ * The user's own view: this month's totals and budget, the last `days` days (newest first)
+ * and the most recent calls.
+ */
+export async function getUserUsage(uid, { days = 30 } = {}) {
+  const record = await store.get(String(uid));
+  const month = monthKey();
+  return {
+    month,
+    monthTotals: record?.months?.[month] ?? emptyTotals(),
+    budget: budgetStatus(record),
+    days: Object.entries(record?.days || {})
+      .sort(([a], [b]) => (a < b ? 1 : -1))
+      .slice(0, days)
+      .map(([date, totals]) => ({ date, ...totals })),
+    recent: [...(record?.recent || [])].reverse(),
+  };
+}
+
+/**
+ * Admin view for one month ("YYYY-MM"): totals over all users and the top users by tokens.
+ */
+export async function getUsageOverview({ month = monthKey(), limit = 50 } = {}) {
+  const totals = emptyTotals();
+  const users = [];
+
+  for (const [uid, record] of await store.entries()) {
+    const m = record?.months?.[month];
+    if (!m) continue;
+    totals.requests += m.requests;
+    totals.inputTokens += m.inputTokens;
+    totals.outputTokens += m.outputTokens;
+    totals.cachedTokens += m.cachedTokens;
+    totals.totalTokens += m.totalTokens;
+    totals.latencyMs += m.latencyMs;
+    for (const key of ["byModel", "byFeature"]) {
+      for (const [k, v] of Object.entries(m[key] || {})) {
+        totals[key][k] = totals[key][k] || { requests: 0, totalTokens: 0 };
+        totals[key][k].requests += v.requests;
+        totals[key][k].totalTokens += v.totalTokens;
+      }
+    }
+    users.push({
+      uid,
+      requests: m.requests,
+      totalTokens: m.totalTokens,
+      monthlyTokenBudget: budgetOf(record),
+    });
+  }
+
+  users.sort((a, b) => b.totalTokens - a.totalTokens);
+  return { month, totals, userCount: users.length, users: users.slice(0, limit) };
+}
+
+/**
+ * Per-user budget override (tokens per month); null = unlimited, undefined clears the override.
+ */
+export function setMonthlyTokenBudget(uid, monthlyTokenBudget) {
+  if (monthlyTokenBudget != null && !(Number.isInteger(monthlyTokenBudget) && monthlyTokenBudget >= 0)) {
+    return Promise.reject(usageError("invalid_payload", "'monthlyTokenBudget' must be a non-negative integer or null"));
+  }
+
+  return withLock(String(uid), async () => {
+    const current = (await store.get(String(uid))) || { days: {}, months: {}, recent: [] };
+    const { monthlyTokenBudget: _old, ...record } = current;
+    const next = monthlyTokenBudget === undefined ? record : { ...record, monthlyTokenBudget };
+    await store.set(String(uid), next);
+    return budgetStatus(next);
+  });
+}